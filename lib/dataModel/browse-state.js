@@ -0,0 +1,21 @@
+'use babel';
+
+/**
+ * Browsing state of a table or view content. One state is kept for each table, so page, order and filter are remembered
+ */
+export default class BrowseState {
+  /**
+   * @param Integer pageSize   rows per page
+   * @param Integer offset     first row of the page (starting on 0)
+   * @param String  orderBy    column name used to sort the rows
+   * @param String  direction  ASC or DESC
+   * @param String  where      sql condition used to filter the rows
+   * @param String  countMode  exact (COUNT(*)) or estimated (TABLE_ROWS statistics)
+   * @param Integer total      rows counted on the last page loaded
+   * @param Boolean exact      total comes from COUNT(*), not from the table statistics
+   * @param Integer pageRows   rows returned on the last page loaded
+   */
+  constructor({pageSize, offset, orderBy, direction, where, countMode, total, exact, pageRows}) {
+    Object.assign(this, {pageSize, offset, orderBy, direction, where, countMode, total, exact, pageRows})
+  }
+}
@@ -0,0 +1,195 @@
+'use babel';
+
+import TreeItem from '../dataModel/tree-item';
+import ItemAction from '../dataModel/item-action';
+import {default as ResultSet} from '../dataModel/result-set';
+import {default as sql, id, raw, inline} from '../helper/sql';
+
+export const PRIVILEGES = [
+  'ALL PRIVILEGES', 'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'ALTER', 'INDEX', 'REFERENCES',
+  'CREATE VIEW', 'SHOW VIEW', 'TRIGGER', 'EVENT', 'EXECUTE', 'CREATE ROUTINE', 'ALTER ROUTINE',
+  'CREATE TEMPORARY TABLES', 'LOCK TABLES',
+];
+
+/**
+ * Server accounts (users and roles) and their privileges
+ */
+class Account {
+  /**
+   * Lists users and roles with the roles granted to each one. mysql.global_priv is used when it exists (MariaDB 10.4+),
+   * otherwise mysql.user.
+   * @param  {Connection} connection
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with a list of {user, host, isRole, roles}
+   */
+  list(connection, logger) {
+    let globalPriv = `SELECT User AS user, Host AS host, JSON_VALUE(Priv, '$.is_role') = 'true' AS is_role FROM mysql.global_priv ORDER BY User, Host`;
+    let user = `SELECT User AS user, Host AS host, is_role = 'Y' AS is_role FROM mysql.user ORDER BY User, Host`;
+    let roles = `SELECT User AS user, Host AS host, Role AS role FROM mysql.roles_mapping ORDER BY Role`;
+
+    logger.log(globalPriv);
+    logger.log(roles);
+
+    return Promise.all([
+      connection.query(globalPriv).catch(()=>{
+        logger.log(user);
+        return connection.query(user);
+      }),
+      // roles_mapping only exists since MariaDB 10.0.5
+      connection.query(roles).catch(()=>[]),
+    ]).then(([accounts, mappings])=>accounts.map((record)=>({
+      user: record.user,
+      host: record.host,
+      isRole: Number(record.is_role) === 1,
+      roles: mappings.filter((mapping)=>mapping.user === record.user && mapping.host === record.host).map((mapping)=>mapping.role),
+    })));
+  }
+
+  getAll(connection, onDone, logger) {
+    this.list(connection, logger).then((accounts)=>{
+      onDone(accounts.map((account)=>new TreeItem({
+        label: account.isRole ? account.user : `${account.user}@${account.host}`,
+        name: `#users.${account.user}@${account.host}`,
+        icon: account.isRole ? 'mariadb-role' : 'mariadb-user',
+        details: [account.isRole ? 'role' : '', account.roles.join(', ')].filter((detail)=>detail.length > 0).join(': '),
+        collapsed: true,
+        datasets: {
+          accountUser: account.user,
+          accountHost: account.host,
+          accountIsRole: account.isRole,
+        },
+        actions: [
+          new ItemAction({name:"structure", icon:"icon-struct", description:"Show grants"}),
+          new ItemAction({name:"grant", icon:"icon-grant", description:"Grant privileges or role"}),
+          new ItemAction({name:"revoke", icon:"icon-revoke", description:"Revoke privileges or role"}),
+        ].concat(account.isRole ? [] : [
+          new ItemAction({name:"change-password", icon:"icon-password", description:"Change password"}),
+        ], [
+          new ItemAction({name:"drop-user", icon:"icon-drop-user", description:account.isRole ? "Drop role" : "Drop user"}),
+        ])
+      })));
+    }).catch(err=>{
+      onDone(err);
+      return;
+    });
+  }
+
+  getStructure(user, host, isRole, connection, onDone, logger) {
+    let query = sql`SHOW GRANTS FOR ${this.account(user, host, isRole)}`;
+
+    logger.log(query.sql);
+
+    connection.query(query).then((results) => {
+      onDone(
+        new ResultSet({
+          query: results.map((record)=>Object.values(record)[0] + ';').join("\n"),
+          grammar: 'source.sql',
+        })
+      );
+    }).catch(err=>{
+      onDone(err);
+      return;
+    });
+  }
+
+  /**
+   * @param  {string}  user
+   * @param  {string}  host
+   * @param  {boolean} isRole  roles have no host
+   * @return {Fragment}        the account name, as used on CREATE USER, GRANT, etc
+   */
+  account(user, host, isRole) {
+    return isRole ? id(user) : sql`${user}@${host}`;
+  }
+
+  createStatement({user, host, password, isRole}) {
+    if (isRole) {
+      return sql`CREATE ROLE ${id(user)}`;
+    }
+
+    return password && password.length > 0
+      ? sql`CREATE USER ${this.account(user, host)} IDENTIFIED BY ${password}`
+      : sql`CREATE USER ${this.account(user, host)}`;
+  }
+
+  passwordStatement(user, host, password) {
+    return sql`ALTER USER ${this.account(user, host)} IDENTIFIED BY ${password}`;
+  }
+
+  dropStatement(user, host, isRole) {
+    return isRole ? sql`DROP ROLE ${id(user)}` : sql`DROP USER ${this.account(user, host)}`;
+  }
+
+  /**
+   * @param  {Fragment} account     as given by account()
+   * @param  {object}   options     privileges: names from PRIVILEGES; schema and table: '*' for all; role: role to be granted or revoked;
+   *                                grantOption: adds WITH GRANT OPTION (grant only)
+   * @param  {boolean}  revoke      builds REVOKE statements instead of GRANT
+   * @return {Fragment[]}
+   */
+  privilegeStatements(account, {privileges = [], schema = '*', table = '*', role, grantOption = false}, revoke = false) {
+    let statements = [];
+    let level = (name)=>name === '*' || !name ? raw('*') : id(name);
+    let allowed = privileges.filter((privilege)=>PRIVILEGES.includes(privilege));
+
+    if (allowed.length > 0) {
+      let list = raw(allowed.join(', '));
+      let on = sql`${level(schema === '*' ? '*' : schema)}.${level(schema === '*' ? '*' : table)}`;
+
+      statements.push(revoke
+        ? sql`REVOKE ${list} ON ${on} FROM ${account}`
+        : sql`GRANT ${list} ON ${on} TO ${account}${raw(grantOption ? ' WITH GRANT OPTION' : '')}`
+      );
+    }
+
+    if (role) {
+      statements.push(revoke ? sql`REVOKE ${id(role)} FROM ${account}` : sql`GRANT ${id(role)} TO ${account}`);
+    }
+
+    return statements;
+  }
+
+  /**
+   * The statements as they are shown for confirmation, with the password hidden
+   * @param  {Fragment[]} statements
+   * @param  {callable}   escape      value escaping function, like connection.escape
+   * @param  {string}     password    optional. Value to be hidden
+   * @return {string}
+   */
+  display(statements, escape, password) {
+    return statements.map((statement)=>inline(
+      statement,
+      (value)=>password && value === password ? "'********'" : escape(value)
+    ) + ';').join("\n");
+  }
+
+  /**
+   * Runs the statements in order, stopping at the first failure
+   * @return {Promise}
+   */
+  run(connection, statements, logger) {
+    return statements.reduce((previous, statement)=>previous.then(()=>{
+      logger.log(statement.sql);
+      return connection.query(statement);
+    }), Promise.resolve());
+  }
+
+  getUsersNode(accounts) {
+    return new TreeItem({
+      label: 'Users',
+      name: '#users',
+      icon: 'mariadb-users',
+      children: accounts,
+      details: accounts.length || '',
+      collapsed: accounts.length === 0,
+      datasets: {
+        accounts: true,
+      },
+      actions: [
+        new ItemAction({name:"create-user", icon:"icon-create-user", description:"Create user or role"}),
+      ]
+    });
+  }
+}
+
+export default new Account();
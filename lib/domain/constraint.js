@@ -0,0 +1,244 @@
+'use babel';
+
+import TreeItem from '../dataModel/tree-item';
+import ItemAction from '../dataModel/item-action';
+import {default as ResultSet} from '../dataModel/result-set';
+import SqlPrettier from 'sql-prettier';
+import {default as sql, raw, quoteId} from '../helper/sql';
+
+export const CONSTRAINT_TYPE = {
+  index: 'index',
+  foreignKey: 'foreignKey',
+  check: 'check',
+};
+
+/**
+ * Indexes, foreign keys and check constraints of the tables
+ */
+class Constraint {
+  /**
+   * Loads indexes, foreign keys and checks of a schema (or a single table).
+   * The three queries are sent at once, so the connection can be released right after calling this method.
+   * @param  {Connection} connection
+   * @param  {string}     schema
+   * @param  {string}     tableName  optional
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with {indexes, foreignKeys, checks}, each one a {tableName: object[]} map
+   */
+  getAll(connection, schema, tableName, logger) {
+    let indexQuery = sql`
+SELECT TABLE_NAME, INDEX_NAME, NON_UNIQUE, INDEX_TYPE, COLUMN_NAME, SUB_PART
+  FROM INFORMATION_SCHEMA.STATISTICS
+ WHERE TABLE_SCHEMA = ${schema} ${tableName ? sql`AND TABLE_NAME = ${tableName}` : raw('')}
+ORDER BY TABLE_NAME, INDEX_NAME = 'PRIMARY' DESC, INDEX_NAME, SEQ_IN_INDEX
+`;
+    let foreignKeyQuery = sql`
+SELECT K.TABLE_NAME, K.CONSTRAINT_NAME, K.COLUMN_NAME, K.REFERENCED_TABLE_SCHEMA, K.REFERENCED_TABLE_NAME, K.REFERENCED_COLUMN_NAME, R.UPDATE_RULE, R.DELETE_RULE
+  FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE K
+  JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS R
+    ON R.CONSTRAINT_SCHEMA = K.CONSTRAINT_SCHEMA AND R.TABLE_NAME = K.TABLE_NAME AND R.CONSTRAINT_NAME = K.CONSTRAINT_NAME
+ WHERE K.TABLE_SCHEMA = ${schema} ${tableName ? sql`AND K.TABLE_NAME = ${tableName}` : raw('')}
+ORDER BY K.TABLE_NAME, K.CONSTRAINT_NAME, K.ORDINAL_POSITION
+`;
+    let checkQuery = sql`
+SELECT TABLE_NAME, CONSTRAINT_NAME, CHECK_CLAUSE
+  FROM INFORMATION_SCHEMA.CHECK_CONSTRAINTS
+ WHERE CONSTRAINT_SCHEMA = ${schema} ${tableName ? sql`AND TABLE_NAME = ${tableName}` : raw('')}
+ORDER BY TABLE_NAME, CONSTRAINT_NAME
+`;
+
+    logger.log(indexQuery.sql);
+    logger.log(foreignKeyQuery.sql);
+    logger.log(checkQuery.sql);
+
+    return Promise.all([
+      connection.query(indexQuery),
+      connection.query(foreignKeyQuery),
+      // CHECK_CONSTRAINTS only exists since MariaDB 10.2.22
+      connection.query(checkQuery).catch(()=>[]),
+    ]).then(([indexes, foreignKeys, checks])=>({
+      indexes: this._group(indexes, (record)=>({
+        name: record.INDEX_NAME,
+        unique: Number(record.NON_UNIQUE) === 0,
+        type: record.INDEX_TYPE,
+      }), (item, record)=>item.columns.push(record.SUB_PART ? `${record.COLUMN_NAME}(${record.SUB_PART})` : record.COLUMN_NAME)),
+      foreignKeys: this._group(foreignKeys, (record)=>({
+        name: record.CONSTRAINT_NAME,
+        referencedSchema: record.REFERENCED_TABLE_SCHEMA,
+        referencedTable: record.REFERENCED_TABLE_NAME,
+        referencedColumns: [],
+        onUpdate: record.UPDATE_RULE,
+        onDelete: record.DELETE_RULE,
+      }), (item, record)=>{
+        item.columns.push(record.COLUMN_NAME);
+        item.referencedColumns.push(record.REFERENCED_COLUMN_NAME);
+      }),
+      checks: this._group(checks, (record)=>({
+        name: record.CONSTRAINT_NAME,
+        clause: record.CHECK_CLAUSE,
+      }), ()=>{}),
+    }));
+  }
+
+  /**
+   * Groups the records by table and by constraint name
+   */
+  _group(records, create, addRecord) {
+    let tables = {};
+
+    records.forEach((record)=>{
+      let items = tables[record.TABLE_NAME] = tables[record.TABLE_NAME] || [];
+      let item = items.find((i)=>i.name === (record.INDEX_NAME || record.CONSTRAINT_NAME));
+
+      if (!item) {
+        item = Object.assign(create(record), {columns: []});
+        items.push(item);
+      }
+
+      addRecord(item, record);
+    });
+
+    return tables;
+  }
+
+  /**
+   * @param  {string}   schema
+   * @param  {string}   tableName
+   * @param  {object}   constraints  {indexes, foreignKeys, checks} of the table, as given by getAll
+   * @return {TreeItem[]}            Indexes, Foreign Keys and Check Constraints nodes. Empty groups are not returned
+   */
+  getNodes(schema, tableName, {indexes = [], foreignKeys = [], checks = []}) {
+    let nodes = [];
+    let node = (label, icon, type, items, details)=>new TreeItem({
+      label: label,
+      name: `${schema}.${tableName}.${type}`,
+      icon: icon,
+      children: items.map((item)=>new TreeItem({
+        label: item.name,
+        name: `${schema}.${tableName}.${type}.${item.name}`,
+        icon: icon,
+        children: [],
+        details: details(item),
+        collapsed: true,
+        datasets: {
+          constraintType: type,
+          constraintSchema: schema,
+          constraintTable: tableName,
+          constraintName: item.name,
+        },
+        actions: [
+          new ItemAction({name:"structure", icon:"icon-struct", description:"Show structure"}),
+        ]
+      })),
+      details: items.length,
+      collapsed: true,
+      datasets: {},
+      actions: []
+    });
+
+    if (indexes.length > 0) {
+      nodes.push(node('Indexes', 'mariadb-index', CONSTRAINT_TYPE.index, indexes, (index)=>
+        `${index.unique ? 'unique ' : ''}(${index.columns.join(', ')})`
+      ));
+    }
+
+    if (foreignKeys.length > 0) {
+      nodes.push(node('Foreign Keys', 'icon-fk', CONSTRAINT_TYPE.foreignKey, foreignKeys, (fk)=>
+        `(${fk.columns.join(', ')}) -> ${fk.referencedTable}(${fk.referencedColumns.join(', ')}) ON UPDATE ${fk.onUpdate} ON DELETE ${fk.onDelete}`
+      ));
+    }
+
+    if (checks.length > 0) {
+      nodes.push(node('Check Constraints', 'mariadb-check', CONSTRAINT_TYPE.check, checks, (check)=>check.clause));
+    }
+
+    return nodes;
+  }
+
+  /**
+   * @param  {string} type    one of CONSTRAINT_TYPE
+   * @param  {object} item    index, foreign key or check as given by getAll
+   * @param  {string} schema  optional. Schema of the table. Referenced tables of other schemas are written with their schema
+   * @return {string}         the ALTER TABLE specification that creates it (ADD ...)
+   */
+  getDefinition(type, item, schema) {
+    let columns = (list)=>list.map((column)=>{
+      let prefix = column.match(/^(.*)\((\d+)\)$/);
+      return prefix ? `${quoteId(prefix[1])}(${prefix[2]})` : quoteId(column);
+    }).join(', ');
+
+    if (type === CONSTRAINT_TYPE.index) {
+      let kind = item.type === 'FULLTEXT' || item.type === 'SPATIAL' ? `${item.type} INDEX` : (item.unique ? 'UNIQUE INDEX' : 'INDEX');
+
+      return item.name === 'PRIMARY'
+        ? `ADD PRIMARY KEY (${columns(item.columns)})`
+        : `ADD ${kind} ${quoteId(item.name)} (${columns(item.columns)})`;
+    } else if (type === CONSTRAINT_TYPE.foreignKey) {
+      return `ADD CONSTRAINT ${quoteId(item.name)} FOREIGN KEY (${columns(item.columns)}) ` +
+        `REFERENCES ${this._referencedTable(item, schema)} (${columns(item.referencedColumns)}) ` +
+        `ON UPDATE ${item.onUpdate} ON DELETE ${item.onDelete}`;
+    }
+
+    return `ADD CONSTRAINT ${quoteId(item.name)} CHECK (${item.clause})`;
+  }
+
+  _referencedTable(foreignKey, schema) {
+    return foreignKey.referencedSchema && foreignKey.referencedSchema !== schema
+      ? quoteId(foreignKey.referencedSchema, foreignKey.referencedTable)
+      : quoteId(foreignKey.referencedTable);
+  }
+
+  /**
+   * @param  {string} type  one of CONSTRAINT_TYPE
+   * @param  {object} item  index, foreign key or check as given by getAll
+   * @return {string}       the ALTER TABLE specification that removes it (DROP ...)
+   */
+  getDropDefinition(type, item) {
+    if (type === CONSTRAINT_TYPE.index) {
+      return item.name === 'PRIMARY' ? 'DROP PRIMARY KEY' : `DROP INDEX ${quoteId(item.name)}`;
+    } else if (type === CONSTRAINT_TYPE.foreignKey) {
+      return `DROP FOREIGN KEY ${quoteId(item.name)}`;
+    }
+
+    return `DROP CONSTRAINT ${quoteId(item.name)}`;
+  }
+
+  /**
+   * @param  {string} schema
+   * @param  {string} tableName
+   * @param  {string} type        one of CONSTRAINT_TYPE
+   * @param  {object} item        index, foreign key or check as given by getAll
+   * @return {string}             the ALTER TABLE statement that creates it
+   */
+  getDdl(schema, tableName, type, item) {
+    return `ALTER TABLE ${quoteId(schema, tableName)} ${this.getDefinition(type, item, schema)}`;
+  }
+
+  getStructure(schema, tableName, type, name, connection, onDone, logger) {
+    this.getAll(connection, schema, tableName, logger).then((constraints) => {
+      let groups = {
+        [CONSTRAINT_TYPE.index]: constraints.indexes,
+        [CONSTRAINT_TYPE.foreignKey]: constraints.foreignKeys,
+        [CONSTRAINT_TYPE.check]: constraints.checks,
+      };
+      let item = (groups[type][tableName] || []).find((i)=>i.name === name);
+
+      if (!item) {
+        onDone(`${name} not found on ${schema}.${tableName}`);
+        return;
+      }
+
+      onDone(
+        new ResultSet({
+          query: SqlPrettier.format(this.getDdl(schema, tableName, type, item)),
+          grammar: 'source.sql',
+        })
+      );
+    }).catch(err=>{
+      onDone(err);
+      return;
+    });
+  }
+}
+
+export default new Constraint();
@@ -0,0 +1,117 @@
+'use babel';
+
+import {default as sql, id, join} from '../helper/sql';
+
+/**
+ * Turns edits made on a table content into UPDATE/INSERT/DELETE statements.
+ * Rows are always identified by the primary key or, when there is none, by a not null unique column.
+ */
+class DataEditor {
+  /**
+   * @param  {Connection} connection
+   * @param  {string}     schema
+   * @param  {string}     tableName
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with the key column names. An empty list means that the table can't be edited
+   */
+  getKeyColumns(connection, schema, tableName, logger) {
+    let query = sql`
+SELECT COLUMN_NAME, COLUMN_KEY, IS_NULLABLE
+  FROM INFORMATION_SCHEMA.COLUMNS
+ WHERE TABLE_SCHEMA = ${schema} AND TABLE_NAME = ${tableName} AND COLUMN_KEY IN ('PRI', 'UNI')
+ORDER BY ORDINAL_POSITION
+`;
+
+    logger.log(query.sql);
+
+    return connection.query(query).then((results)=>{
+      let primary = results.filter((record)=>record.COLUMN_KEY === 'PRI');
+      let unique = results.filter((record)=>record.COLUMN_KEY === 'UNI' && record.IS_NULLABLE === 'NO');
+
+      return (primary.length > 0 ? primary : unique.slice(0, 1)).map((record)=>record.COLUMN_NAME);
+    });
+  }
+
+  /**
+   * @param  {string}   schema
+   * @param  {string}   tableName
+   * @param  {string[]} keyColumns  columns that identify a row
+   * @param  {object}   changes     columns: column names of the rows;
+   *                                updates: [{row, values}] where row is the original row (array) and values the changed {column: value};
+   *                                inserts: [{column: value}];
+   *                                deletes: [row] with the original rows
+   * @return {object[]}             list of {query, expectOneRow} in the order they must run: deletes, updates and inserts
+   */
+  buildStatements(schema, tableName, keyColumns, changes) {
+    let columns = changes.columns || [];
+    let keyOf = (row)=>join(
+      keyColumns.map((column)=>{
+        let value = row[columns.indexOf(column)];
+        return value === null ? sql`${id(column)} IS NULL` : sql`${id(column)} = ${value}`;
+      }),
+      ' AND '
+    );
+
+    let deletes = (changes.deletes || []).map((row)=>({
+      query: sql`DELETE FROM ${id(schema, tableName)} WHERE ${keyOf(row)} LIMIT 1`,
+      expectOneRow: true,
+    }));
+
+    let updates = (changes.updates || []).filter((update)=>Object.keys(update.values).length > 0).map((update)=>({
+      query: sql`UPDATE ${id(schema, tableName)} SET ${join(
+        Object.keys(update.values).map((column)=>sql`${id(column)} = ${update.values[column]}`)
+      )} WHERE ${keyOf(update.row)} LIMIT 1`,
+      expectOneRow: true,
+    }));
+
+    let inserts = (changes.inserts || []).map((values)=>({
+      query: sql`INSERT INTO ${id(schema, tableName)} (${join(Object.keys(values).map((column)=>id(column)))}) VALUES (${join(
+        Object.keys(values).map((column)=>sql`${values[column]}`)
+      )})`,
+      expectOneRow: false,
+    }));
+
+    return deletes.concat(updates, inserts);
+  }
+
+  /**
+   * Runs the statements inside a single transaction. Any failure, or an UPDATE/DELETE that doesn't find its row, rolls everything back.
+   * @param  {Connection} connection  a connection that is not shared while the transaction is open
+   * @param  {object[]}   statements  as given by buildStatements
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with the total of affected rows
+   */
+  apply(connection, statements, logger) {
+    let affected = 0;
+
+    let run = (index)=>{
+      if (index >= statements.length) {
+        return Promise.resolve();
+      }
+
+      let statement = statements[index];
+
+      logger.log(statement.query.sql);
+
+      return connection.query(statement.query).then((result)=>{
+        if (statement.expectOneRow && result.affectedRows !== 1) {
+          throw new Error(`Row not found, it may have been changed or deleted by someone else: ${statement.query.sql}`);
+        }
+
+        affected += result.affectedRows;
+
+        return run(index + 1);
+      });
+    };
+
+    return connection.beginTransaction()
+      .then(()=>run(0))
+      .then(()=>connection.commit())
+      .then(()=>affected)
+      .catch((err)=>connection.rollback().catch(()=>{}).then(()=>{
+        throw err;
+      }));
+  }
+}
+
+export default new DataEditor();
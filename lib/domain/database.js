@@ -1,24 +1,26 @@
 'use babel';
 
 import TreeItem from '../dataModel/tree-item';
+import ItemAction from '../dataModel/item-action';
 import table from './table';
 import view from './view';
 import proc from './proc';
 import func from './func';
 import generalEvents from './general-events';
+import sql from '../helper/sql';
 
 class Database {
   getTopics(connection, database, onDone, logger) {
-    let query = `
+    let query = sql`
 SELECT
-  (SELECT COUNT(TABLE_SCHEMA) FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_TYPE = 'VIEW' AND TABLE_SCHEMA='${database}') as views,
-  (SELECT COUNT(TABLE_SCHEMA) FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_TYPE <> 'VIEW' AND TABLE_SCHEMA='${database}') as tables,
-  (SELECT COUNT(ROUTINE_SCHEMA) FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_TYPE = 'FUNCTION' AND ROUTINE_SCHEMA='${database}') as functions,
-  (SELECT COUNT(ROUTINE_SCHEMA) FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_TYPE = 'PROCEDURE' AND ROUTINE_SCHEMA='${database}') as procedures,
-  (SELECT COUNT(EVENT_SCHEMA) FROM INFORMATION_SCHEMA.EVENTS WHERE EVENT_SCHEMA='od_bot_dev') as events
+  (SELECT COUNT(TABLE_SCHEMA) FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_TYPE = 'VIEW' AND TABLE_SCHEMA=${database}) as views,
+  (SELECT COUNT(TABLE_SCHEMA) FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_TYPE <> 'VIEW' AND TABLE_SCHEMA=${database}) as tables,
+  (SELECT COUNT(ROUTINE_SCHEMA) FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_TYPE = 'FUNCTION' AND ROUTINE_SCHEMA=${database}) as functions,
+  (SELECT COUNT(ROUTINE_SCHEMA) FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_TYPE = 'PROCEDURE' AND ROUTINE_SCHEMA=${database}) as procedures,
+  (SELECT COUNT(EVENT_SCHEMA) FROM INFORMATION_SCHEMA.EVENTS WHERE EVENT_SCHEMA=${database}) as events
 `;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       let record = results[0];
@@ -99,7 +101,11 @@ ORDER BY schema_name
               database: record.database_name,
             },
             classes: ['mariadb-table-counter-detail'],
-            actions: []
+            actions: [
+              new ItemAction({name:"dump", icon:"icon-export", description:"Export to .sql file"}),
+              new ItemAction({name:"import", icon:"icon-import", description:"Import SQL file"}),
+              new ItemAction({name:"compare", icon:"icon-compare", description:"Compare with..."}),
+            ]
           });
         }
       });
@@ -0,0 +1,278 @@
+'use babel';
+
+import {default as sql, id, raw, quoteId} from '../helper/sql';
+
+const INSERT_BATCH_SIZE = 100;
+
+/**
+ * Exports structure and/or data of a schema (or a single table) as a sql script, like mysqldump does.
+ * Table rows are streamed from the server straight to the output, so big tables are never held in memory.
+ */
+class Dump {
+  /**
+   * @param  {Connection} connection  a connection that is not shared while the dump runs
+   * @param  {string}     schema      schema to be exported
+   * @param  {string}     tableName   when given, only this table (and its triggers) is exported
+   * @param  {object}     options     structure, data, dropIfExists (booleans), where (sql condition) and limit (rows per table)
+   * @param  {Writable}   output      stream where the script is written
+   * @param  {callable}   onProgress  receives a text describing the current step
+   * @param  {callable}   onDone      receives an error (or undefined) and a summary {tables, rows}
+   * @param  {Logger}     logger
+   */
+  export(connection, schema, tableName, options, output, onProgress, onDone, logger) {
+    let summary = {tables: 0, rows: 0};
+
+    this._export(connection, schema, tableName, options, output, onProgress, logger, summary).then(
+      ()=>onDone(undefined, summary),
+      (err)=>onDone(err, summary)
+    );
+  }
+
+  async _export(connection, schema, tableName, options, output, onProgress, logger, summary) {
+    let query = (fragment)=>{
+      logger.log(fragment.sql);
+      return connection.query(fragment);
+    };
+    let write = (text)=>this._write(output, text);
+    let objects = await this._listObjects(query, schema, tableName);
+    let tables = objects.tables.filter((t)=>t.TABLE_TYPE !== 'VIEW').map((t)=>t.TABLE_NAME);
+    let views = objects.tables.filter((t)=>t.TABLE_TYPE === 'VIEW').map((t)=>t.TABLE_NAME);
+
+    await write(
+`-- MariaDB dump generated by atom-dbex-mariadb
+-- Schema: ${schema}${tableName ? `, table: ${tableName}` : ''}
+-- Date: ${new Date().toISOString()}
+
+/*!40101 SET NAMES utf8mb4 */;
+/*!40014 SET @OLD_FOREIGN_KEY_CHECKS=@@FOREIGN_KEY_CHECKS, FOREIGN_KEY_CHECKS=0 */;
+/*!40101 SET @OLD_SQL_MODE=@@SQL_MODE, SQL_MODE='NO_AUTO_VALUE_ON_ZERO' */;
+
+`
+    );
+
+    for (let name of tables) {
+      onProgress(`Exporting table ${name}`);
+
+      if (options.structure) {
+        let results = await query(sql`SHOW CREATE TABLE ${id(schema, name)}`);
+
+        await write(`--\n-- Structure for table ${quoteId(name)}\n--\n\n`);
+
+        if (options.dropIfExists) {
+          await write(`DROP TABLE IF EXISTS ${quoteId(name)};\n`);
+        }
+
+        await write(results[0]['Create Table'] + ";\n\n");
+      }
+
+      if (options.data) {
+        summary.rows += await this._exportRows(connection, schema, name, options, output, onProgress, logger);
+      }
+
+      summary.tables++;
+    }
+
+    if (!options.structure) {
+      await write(this._footer());
+      return;
+    }
+
+    for (let name of views) {
+      onProgress(`Exporting view ${name}`);
+
+      let results = await query(sql`SHOW CREATE VIEW ${id(schema, name)}`);
+
+      await write(`--\n-- Structure for view ${quoteId(name)}\n--\n\n`);
+
+      if (options.dropIfExists) {
+        await write(`DROP VIEW IF EXISTS ${quoteId(name)};\n`);
+      }
+
+      await write(results[0]['Create View'] + ";\n\n");
+    }
+
+    let delimited = [];
+
+    for (let routine of objects.routines) {
+      let results = await query(sql`SHOW CREATE ${raw(routine.ROUTINE_TYPE)} ${id(schema, routine.ROUTINE_NAME)}`);
+      let create = results[0][routine.ROUTINE_TYPE === 'FUNCTION' ? 'Create Function' : 'Create Procedure'];
+
+      if (create) {
+        delimited.push({
+          drop: `DROP ${routine.ROUTINE_TYPE} IF EXISTS ${quoteId(routine.ROUTINE_NAME)}`,
+          create: create
+        });
+      }
+    }
+
+    for (let trigger of objects.triggers) {
+      let results = await query(sql`SHOW CREATE TRIGGER ${id(schema, trigger.TRIGGER_NAME)}`);
+
+      delimited.push({
+        drop: `DROP TRIGGER IF EXISTS ${quoteId(trigger.TRIGGER_NAME)}`,
+        create: results[0]['SQL Original Statement']
+      });
+    }
+
+    for (let event of objects.events) {
+      let results = await query(sql`SHOW CREATE EVENT ${id(schema, event.EVENT_NAME)}`);
+
+      delimited.push({
+        drop: `DROP EVENT IF EXISTS ${quoteId(event.EVENT_NAME)}`,
+        create: results[0]['Create Event']
+      });
+    }
+
+    if (delimited.length > 0) {
+      onProgress('Exporting routines, triggers and events');
+      await write("DELIMITER ;;\n\n");
+
+      for (let item of delimited) {
+        if (options.dropIfExists) {
+          await write(`${item.drop};;\n`);
+        }
+
+        await write(`${item.create};;\n\n`);
+      }
+
+      await write("DELIMITER ;\n\n");
+    }
+
+    await write(this._footer());
+  }
+
+  async _listObjects(query, schema, tableName) {
+    let specificTable = tableName ? sql` AND TABLE_NAME = ${tableName}` : raw('');
+    let specificTrigger = tableName ? sql` AND EVENT_OBJECT_TABLE = ${tableName}` : raw('');
+
+    return {
+      tables: await query(
+        sql`SELECT TABLE_NAME, TABLE_TYPE FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ${schema}${specificTable} ORDER BY TABLE_NAME`
+      ),
+      triggers: await query(
+        sql`SELECT TRIGGER_NAME FROM INFORMATION_SCHEMA.TRIGGERS WHERE TRIGGER_SCHEMA = ${schema}${specificTrigger} ORDER BY TRIGGER_NAME`
+      ),
+      routines: tableName ? [] : await query(
+        sql`SELECT ROUTINE_NAME, ROUTINE_TYPE FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_SCHEMA = ${schema} ORDER BY ROUTINE_TYPE, ROUTINE_NAME`
+      ),
+      events: tableName ? [] : await query(
+        sql`SELECT EVENT_NAME FROM INFORMATION_SCHEMA.EVENTS WHERE EVENT_SCHEMA = ${schema} ORDER BY EVENT_NAME`
+      ),
+    };
+  }
+
+  /**
+   * Streams the rows of a table as batched INSERT statements.
+   * The connection socket is paused while the output is not able to receive more data.
+   * @return {Promise} resolves with the number of exported rows
+   */
+  _exportRows(connection, schema, name, options, output, onProgress, logger) {
+    let where = options.where && options.where.trim().length > 0 ? ` WHERE ${options.where}` : '';
+    let limit = parseInt(options.limit, 10) > 0 ? ` LIMIT ${parseInt(options.limit, 10)}` : '';
+    let query = sql`SELECT * FROM ${id(schema, name)}${raw(where)}${raw(limit)}`;
+
+    logger.log(query.sql);
+
+    return new Promise((resolve, reject) => {
+      let stream = connection.queryStream(
+        Object.assign({dateStrings: true, supportBigNumbers: true, bigNumberStrings: true}, query)
+      );
+      let columns = '';
+      let batch = [];
+      let rows = 0;
+
+      let flush = ()=>{
+        if (batch.length === 0) {
+          return true;
+        }
+
+        let text = `INSERT INTO ${quoteId(name)} ${columns} VALUES\n${batch.join(",\n")};\n`;
+        batch = [];
+
+        return output.write(text);
+      };
+
+      stream.on('fields', (meta)=>{
+        columns = '(' + meta.map((field)=>quoteId(field.name())).join(', ') + ')';
+      });
+
+      // a paused stream would never end, so it is resumed and its remaining rows are dropped by the failed output
+      let failed = (err)=>{
+        reject(err);
+        connection.resume();
+      };
+
+      output.once('error', failed);
+
+      stream.on('data', (row)=>{
+        batch.push('(' + Object.values(row).map((value)=>this._value(connection, value)).join(', ') + ')');
+        rows++;
+
+        if (batch.length >= INSERT_BATCH_SIZE) {
+          onProgress(`Exporting table ${name}: ${rows} rows`);
+
+          if (!flush()) {
+            connection.pause();
+            output.once('drain', ()=>connection.resume());
+          }
+        }
+      });
+
+      stream.on('error', (err)=>{
+        output.removeListener('error', failed);
+        reject(err);
+      });
+
+      stream.on('end', ()=>{
+        output.removeListener('error', failed);
+        flush();
+        this._write(output, "\n").then(()=>resolve(rows), reject);
+      });
+    });
+  }
+
+  _value(connection, value) {
+    if (Buffer.isBuffer(value)) {
+      return value.length > 0 ? '0x' + value.toString('hex') : "''";
+    }
+
+    return connection.escape(value);
+  }
+
+  /**
+   * @return {Promise} resolves once the output can receive more text, rejects when the output fails
+   */
+  _write(output, text) {
+    return new Promise((resolve, reject) => {
+      let done = (err)=>{
+        output.removeListener('drain', done);
+        output.removeListener('error', done);
+
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      };
+
+      if (output.destroyed) {
+        reject(new Error(`${output.path || 'The output'} can't be written anymore`));
+      } else if (output.write(text)) {
+        resolve();
+      } else {
+        output.once('drain', done);
+        output.once('error', done);
+      }
+    });
+  }
+
+  _footer() {
+    return `/*!40101 SET SQL_MODE=@OLD_SQL_MODE */;
+/*!40014 SET FOREIGN_KEY_CHECKS=@OLD_FOREIGN_KEY_CHECKS */;
+
+-- Dump completed on ${new Date().toISOString()}
+`;
+  }
+}
+
+export default new Dump();
@@ -3,20 +3,246 @@
 import {TYPE} from '../dataModel/result-set';
 
 /**
- * @see http://mysql-python.sourceforge.net/MySQLdb-1.2.2/public/MySQLdb.constants.FIELD_TYPE-module.html
+ * Column type codes sent by the server on the column definitions
+ * @see https://mariadb.com/kb/en/result-set-packets/#field-types
  */
-export default function fieldType(typeCode) {
-  let number = [16, 0, 5, 247, 4, 9, 3, 8, 246, 11, 13];
-  let text = [252, 255, 247, 251, 250, 254, 253, 15, 7];
-  let boolean = [1];
-  let date = [10, 12, 14];
+const CODE = {
+  decimal: 0, tiny: 1, short: 2, long: 3, float: 4, double: 5, null: 6, timestamp: 7, longlong: 8, int24: 9,
+  date: 10, time: 11, datetime: 12, year: 13, newdate: 14, varchar: 15, bit: 16, timestamp2: 17, datetime2: 18,
+  time2: 19, json: 245, newdecimal: 246, enum: 247, set: 248, tinyBlob: 249, mediumBlob: 250, longBlob: 251,
+  blob: 252, varString: 253, string: 254, geometry: 255,
+};
 
-  let result = TYPE.undefined;
+/**
+ * Column definition flags
+ * @see https://mariadb.com/kb/en/result-set-packets/#field-details-flag
+ */
+const FLAG = {
+  notNull: 1, primaryKey: 2, uniqueKey: 4, multipleKey: 8, blob: 16, unsigned: 32, zerofill: 64, binary: 128,
+  enum: 256, autoIncrement: 512, timestamp: 1024, set: 2048,
+};
+
+const BINARY_CHARSET = 63;
+
+const SQL_NAME = {
+  [CODE.decimal]: 'DECIMAL', [CODE.newdecimal]: 'DECIMAL', [CODE.tiny]: 'TINYINT', [CODE.short]: 'SMALLINT',
+  [CODE.long]: 'INT', [CODE.int24]: 'MEDIUMINT', [CODE.longlong]: 'BIGINT', [CODE.float]: 'FLOAT',
+  [CODE.double]: 'DOUBLE', [CODE.null]: 'NULL', [CODE.timestamp]: 'TIMESTAMP', [CODE.timestamp2]: 'TIMESTAMP',
+  [CODE.date]: 'DATE', [CODE.newdate]: 'DATE', [CODE.time]: 'TIME', [CODE.time2]: 'TIME', [CODE.datetime]: 'DATETIME',
+  [CODE.datetime2]: 'DATETIME', [CODE.year]: 'YEAR', [CODE.bit]: 'BIT', [CODE.json]: 'JSON', [CODE.enum]: 'ENUM',
+  [CODE.set]: 'SET', [CODE.geometry]: 'GEOMETRY', [CODE.varchar]: 'VARCHAR', [CODE.varString]: 'VARCHAR',
+  [CODE.string]: 'CHAR', [CODE.tinyBlob]: 'TINYTEXT', [CODE.blob]: 'TEXT', [CODE.mediumBlob]: 'MEDIUMTEXT',
+  [CODE.longBlob]: 'LONGTEXT',
+};
+const BINARY_NAME = {
+  VARCHAR: 'VARBINARY', CHAR: 'BINARY', TINYTEXT: 'TINYBLOB', TEXT: 'BLOB', MEDIUMTEXT: 'MEDIUMBLOB', LONGTEXT: 'LONGBLOB',
+};
+
+const NUMBERS = [
+  CODE.decimal, CODE.newdecimal, CODE.tiny, CODE.short, CODE.long, CODE.int24, CODE.longlong, CODE.float, CODE.double, CODE.year,
+];
+const DATES = [CODE.date, CODE.newdate, CODE.datetime, CODE.datetime2, CODE.timestamp, CODE.timestamp2];
+const TEMPORALS = DATES.concat([CODE.time, CODE.time2]);
+
+// binary values longer than this are shown as a preview with their size
+const BLOB_PREVIEW_BYTES = 32;
+
+/**
+ * @param  {ColumnDef} column  column metadata given by the driver
+ * @return {boolean}           true for binary strings and blobs, which carry bytes instead of text
+ */
+function isBinary(column) {
+  return Boolean(column.collation && column.collation.index === BINARY_CHARSET)
+    && !NUMBERS.includes(column.columnType) && !TEMPORALS.includes(column.columnType) && column.columnType !== CODE.bit;
+}
+
+/**
+ * @param  {ColumnDef} column  column metadata given by the driver
+ * @return {boolean}           JSON columns (on MariaDB they are LONGTEXT with the json format on the extended type info)
+ */
+function isJson(column) {
+  return column.columnType === CODE.json || column.dataTypeFormat === 'json';
+}
+
+/**
+ * @param  {ColumnDef} column  column metadata given by the driver
+ * @return {string}            the sql type name, like BIGINT UNSIGNED, VARBINARY or JSON
+ */
+export function typeName(column) {
+  let name = SQL_NAME[column.columnType] || column.type || 'UNKNOWN';
+
+  if (column.flags & FLAG.enum) {
+    name = 'ENUM';
+  } else if (column.flags & FLAG.set) {
+    name = 'SET';
+  } else if (isJson(column)) {
+    name = 'JSON';
+  } else if (column.dataTypeName) {
+    // extended types (uuid, inet6, point, ...) are only known by their name
+    name = column.dataTypeName.toUpperCase();
+  } else if (isBinary(column) && BINARY_NAME[name]) {
+    name = BINARY_NAME[name];
+  } else if (column.columnType === CODE.tiny && column.columnLength === 1) {
+    name = 'BOOLEAN';
+  }
+
+  return NUMBERS.includes(column.columnType) && (column.flags & FLAG.unsigned) ? `${name} UNSIGNED` : name;
+}
+
+/**
+ * @param  {ColumnDef} column  column metadata given by the driver
+ * @return {number}            the ResultSet TYPE of the column
+ */
+export default function fieldType(column) {
+  if (column.columnType === CODE.tiny && column.columnLength === 1) {
+    return TYPE.boolean;
+  }
+
+  if (NUMBERS.includes(column.columnType)) {
+    return TYPE.number;
+  }
+
+  if (DATES.includes(column.columnType)) {
+    return TYPE.date;
+  }
+
+  return column.columnType === CODE.null ? TYPE.undefined : TYPE.text;
+}
+
+/**
+ * Everything the driver tells about a result column
+ * @param  {ColumnDef} column  column metadata given by the driver
+ * @return {object}            {type, typeName, notNull, primaryKey, unique, autoIncrement, unsigned, binary, decimals, charset}
+ */
+export function columnDetails(column) {
+  return {
+    type: fieldType(column),
+    typeName: typeName(column),
+    notNull: (column.flags & FLAG.notNull) !== 0,
+    primaryKey: (column.flags & FLAG.primaryKey) !== 0,
+    unique: (column.flags & FLAG.uniqueKey) !== 0,
+    autoIncrement: (column.flags & FLAG.autoIncrement) !== 0,
+    unsigned: (column.flags & FLAG.unsigned) !== 0,
+    binary: isBinary(column),
+    decimals: column.scale,
+    charset: column.collation ? column.collation.charset : undefined,
+  };
+}
+
+/**
+ * typeCast option for the driver, reading each value the way it is shown on the results:
+ * BIGINT and DECIMAL keep every digit, dates are kept as the server sends them (on the session time zone,
+ * with fractional seconds and zero dates), BIT as binary digits, JSON pretty printed, GEOMETRY as WKT
+ * and binary values as hex (with the size when they are too long to be shown).
+ * @param  {ColumnDef} column  column metadata given by the driver, with the value readers
+ * @param  {callable}  next    reads the value the default way
+ * @return {*}
+ */
+export function castValue(column, next) {
+  let type = column.columnType;
+
+  if (type === CODE.longlong) {
+    let text = column.string();
+    let value = text === null ? null : Number(text);
+
+    return value === null || Number.isSafeInteger(value) ? value : text;
+  }
+
+  if (type === CODE.decimal || type === CODE.newdecimal || TEMPORALS.includes(type)) {
+    return column.string();
+  }
+
+  if (type === CODE.bit) {
+    return bits(column.buffer(), column.columnLength);
+  }
+
+  if (type === CODE.geometry) {
+    // column.geometry() is broken on the driver text protocol (it calls a readGeometry the column doesn't have),
+    // so the default GeoJSON value is read and written as WKT
+    let geometry = next();
+
+    // empty geometries come as {type} only, which is how the driver reads NULL
+    return geometry && (geometry.coordinates || geometry.geometries) ? wkt(geometry) : null;
+  }
+
+  if (isJson(column)) {
+    return prettyJson(column.string());
+  }
+
+  if ((column.flags & FLAG.set) || (column.flags & FLAG.enum)) {
+    return column.string();
+  }
+
+  if (isBinary(column)) {
+    return hexPreview(column.buffer());
+  }
+
+  return next();
+}
+
+function bits(buffer, length) {
+  if (buffer === null) {
+    return null;
+  }
+
+  let digits = Array.from(buffer).map((byte)=>byte.toString(2).padStart(8, '0')).join('');
+
+  return digits.slice(-Math.max(length, 1)).padStart(length, '0');
+}
+
+function prettyJson(text) {
+  if (text === null) {
+    return null;
+  }
+
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    return text;
+  }
+}
+
+function hexPreview(buffer) {
+  if (buffer === null) {
+    return null;
+  }
+
+  if (buffer.length <= BLOB_PREVIEW_BYTES) {
+    return '0x' + buffer.toString('hex').toUpperCase();
+  }
+
+  let size = buffer.length < 1024 ? `${buffer.length} bytes` : (
+    buffer.length < 1048576 ? `${(buffer.length / 1024).toFixed(1)} KB` : `${(buffer.length / 1048576).toFixed(1)} MB`
+  );
+
+  return `0x${buffer.slice(0, BLOB_PREVIEW_BYTES).toString('hex').toUpperCase()}... (${size})`;
+}
+
+/**
+ * @param  {object} geometry  GeoJSON geometry, as read by the driver
+ * @return {string}           the Well-Known Text of the geometry
+ */
+function wkt(geometry) {
+  let point = (coordinates)=>coordinates.join(' ');
+  let points = (list)=>`(${list.map(point).join(', ')})`;
+  let rings = (list)=>`(${list.map(points).join(', ')})`;
 
-  result = number.indexOf(typeCode) >= 0 ? TYPE.number : result;
-  result = text.indexOf(typeCode) >= 0 ? TYPE.text : result;
-  result = boolean.indexOf(typeCode) >= 0 ? TYPE.boolean : result;
-  result = date.indexOf(typeCode) >= 0 ? TYPE.date : result;
+  switch (geometry.type) {
+    case 'Point':
+      return `POINT(${point(geometry.coordinates)})`;
+    case 'LineString':
+      return `LINESTRING${points(geometry.coordinates)}`;
+    case 'Polygon':
+      return `POLYGON${rings(geometry.coordinates)}`;
+    case 'MultiPoint':
+      return `MULTIPOINT${points(geometry.coordinates)}`;
+    case 'MultiLineString':
+      return `MULTILINESTRING${rings(geometry.coordinates)}`;
+    case 'MultiPolygon':
+      return `MULTIPOLYGON(${geometry.coordinates.map(rings).join(', ')})`;
+    case 'GeometryCollection':
+      return `GEOMETRYCOLLECTION(${geometry.geometries.filter((item)=>item).map(wkt).join(', ')})`;
+  }
 
-  return result;
+  return null;
 }
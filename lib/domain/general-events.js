@@ -5,17 +5,18 @@ import ItemAction from '../dataModel/item-action';
 import {default as ResultSet, TYPE} from '../dataModel/result-set';
 import SqlPrettier from 'sql-prettier';
 import pascalCase from '../helper/pascal-case';
+import {default as sql, id, raw} from '../helper/sql';
 
 class GeneralEvents {
   getAll(connection, database, onDone, logger, eventName) {
-    let specificEvent = eventName ? ` AND EVENT_NAME = '${eventName}'` : '';
-    let query = `
+    let specificEvent = eventName ? sql` AND EVENT_NAME = ${eventName}` : raw('');
+    let query = sql`
 SELECT EVENT_SCHEMA, EVENT_NAME
   FROM INFORMATION_SCHEMA.EVENTS
- WHERE EVENT_SCHEMA='${database} ${specificEvent}'
+ WHERE EVENT_SCHEMA=${database} ${specificEvent}
 `;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       let events = [];
@@ -46,10 +47,10 @@ SELECT EVENT_SCHEMA, EVENT_NAME
     });
   }
 
-  getStructure(eventName, connection, onDone, logger) {
-    let query = `SHOW CREATE EVENT ${eventName}`;
+  getStructure(eventSchema, eventName, connection, onDone, logger) {
+    let query = sql`SHOW CREATE EVENT ${id(eventSchema, eventName)}`;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       onDone(
@@ -68,14 +69,14 @@ SELECT EVENT_SCHEMA, EVENT_NAME
     });
   }
 
-  getContent(connection, eventName, onDone, logger) {
-    let query = `
+  getContent(connection, eventSchema, eventName, onDone, logger) {
+    let query = sql`
 SELECT *
   FROM INFORMATION_SCHEMA.EVENTS
- WHERE EVENT_NAME='${eventName}'
+ WHERE EVENT_NAME=${eventName} AND EVENT_SCHEMA=${eventSchema}
 `;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       let resultSet = new ResultSet({
@@ -0,0 +1,69 @@
+'use babel';
+
+import sql from '../helper/sql';
+
+/**
+ * Names and types of the schema objects, as used by the autocomplete. It reads the same INFORMATION_SCHEMA
+ * data the tree nodes show, without the details (keys, triggers, constraints) that completions don't need.
+ */
+class Metadata {
+  /**
+   * @param  {Connection} connection
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with the schema names
+   */
+  getSchemas(connection, logger) {
+    let query = sql`SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA ORDER BY SCHEMA_NAME`;
+
+    logger.log(query.sql);
+
+    return connection.query(query).then((results)=>results.map((record)=>record.SCHEMA_NAME));
+  }
+
+  /**
+   * Both queries are sent at once, so the connection can be released right after calling this method.
+   * @param  {Connection} connection
+   * @param  {string}     schema
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with {tables, routines}: tables is a {name: {name, type, columns: [{name, type}]}} map,
+   *                      where type is the TABLE_TYPE; routines is a list of {name, type, returns}
+   */
+  getSchema(connection, schema, logger) {
+    let columnsQuery = sql`
+SELECT C.TABLE_NAME, T.TABLE_TYPE, C.COLUMN_NAME, C.COLUMN_TYPE
+  FROM INFORMATION_SCHEMA.COLUMNS C
+  JOIN INFORMATION_SCHEMA.TABLES T ON T.TABLE_SCHEMA = C.TABLE_SCHEMA AND T.TABLE_NAME = C.TABLE_NAME
+ WHERE C.TABLE_SCHEMA = ${schema}
+ORDER BY C.TABLE_NAME, C.ORDINAL_POSITION
+`;
+    let routinesQuery = sql`
+SELECT ROUTINE_NAME, ROUTINE_TYPE, DTD_IDENTIFIER
+  FROM INFORMATION_SCHEMA.ROUTINES
+ WHERE ROUTINE_SCHEMA = ${schema}
+ORDER BY ROUTINE_NAME
+`;
+
+    logger.log(columnsQuery.sql);
+    logger.log(routinesQuery.sql);
+
+    return Promise.all([
+      connection.query(columnsQuery),
+      connection.query(routinesQuery),
+    ]).then(([columns, routines])=>{
+      let tables = {};
+
+      columns.forEach((record)=>{
+        let table = tables[record.TABLE_NAME] = tables[record.TABLE_NAME] || {name: record.TABLE_NAME, type: record.TABLE_TYPE, columns: []};
+
+        table.columns.push({name: record.COLUMN_NAME, type: record.COLUMN_TYPE});
+      });
+
+      return {
+        tables: tables,
+        routines: routines.map((record)=>({name: record.ROUTINE_NAME, type: record.ROUTINE_TYPE, returns: record.DTD_IDENTIFIER})),
+      };
+    });
+  }
+}
+
+export default new Metadata();
@@ -0,0 +1,162 @@
+'use babel';
+
+import TreeItem from '../dataModel/tree-item';
+import ItemAction from '../dataModel/item-action';
+import {default as ResultSet, TYPE} from '../dataModel/result-set';
+import pascalCase from '../helper/pascal-case';
+import {default as sql, raw} from '../helper/sql';
+
+export const KILL_TYPE = {
+  query: 'QUERY',
+  connection: 'CONNECTION',
+};
+
+/**
+ * Threads running on the server, as listed by INFORMATION_SCHEMA.PROCESSLIST.
+ * The thread used to list them is never shown.
+ */
+class ProcessList {
+  /**
+   * @param  {object} filters  hideSleeping: hides idle connections; ownUser: shows only threads of the connected user
+   * @return {Fragment}
+   */
+  _query(filters, processId) {
+    return sql`
+SELECT ID, USER, HOST, DB, COMMAND, TIME, STATE, INFO
+  FROM INFORMATION_SCHEMA.PROCESSLIST
+ WHERE ID <> CONNECTION_ID()
+${processId !== undefined ? sql`AND ID = ${Number(processId)}` : raw('')}
+${filters.hideSleeping ? raw(`AND COMMAND <> 'Sleep'`) : raw('')}
+${filters.ownUser ? raw(`AND USER = SUBSTRING_INDEX(USER(), '@', 1)`) : raw('')}
+ORDER BY TIME DESC, ID
+`;
+  }
+
+  getAll(connection, filters, onDone, logger) {
+    let query = this._query(filters);
+
+    logger.log(query.sql);
+
+    connection.query(query).then((results) => {
+      onDone(results.map((record)=>new TreeItem({
+        label: `${record.ID} ${record.USER}`,
+        name: `#processes.${record.ID}`,
+        icon: record.COMMAND === 'Sleep' ? 'mariadb-process-sleeping' : 'mariadb-process',
+        details: `${record.COMMAND} ${record.TIME}s${record.STATE ? ' ' + record.STATE : ''}${record.INFO ? ': ' + record.INFO.substring(0, 60) : ''}`,
+        collapsed: true,
+        datasets: {
+          processId: record.ID,
+        },
+        actions: [
+          new ItemAction({name:"kill-query", icon:"icon-kill-query", description:"Kill query (KILL QUERY)"}),
+          new ItemAction({name:"kill-connection", icon:"icon-kill-connection", description:"Kill connection (KILL CONNECTION)"}),
+        ]
+      })));
+    }).catch(err=>{
+      onDone(err);
+      return;
+    });
+  }
+
+  /**
+   * All the listed threads as a ResultSet, with the full statement of each one
+   */
+  getList(connection, filters, onDone, logger) {
+    let query = this._query(filters);
+
+    logger.log(query.sql);
+
+    connection.query(query).then((results) => {
+      onDone(new ResultSet({
+        columns: [
+          {name: 'Id', type: TYPE.number},
+          {name: 'User', type: TYPE.text},
+          {name: 'Host', type: TYPE.text},
+          {name: 'Db', type: TYPE.text},
+          {name: 'Command', type: TYPE.text},
+          {name: 'Time', type: TYPE.number},
+          {name: 'State', type: TYPE.text},
+          {name: 'Info', type: TYPE.text},
+        ],
+        data: results.map((record)=>Object.values(record)),
+      }));
+    }).catch(err=>{
+      onDone(err);
+      return;
+    });
+  }
+
+  getContent(connection, processId, onDone, logger) {
+    let query = this._query({}, processId);
+
+    logger.log(query.sql);
+
+    connection.query(query).then((results) => {
+      if (results.length === 0) {
+        onDone(`Process ${processId} is not running anymore`);
+        return;
+      }
+
+      onDone(new ResultSet({
+        columns: [
+          {name: 'Key', type: TYPE.text},
+          {name: 'Value', type: TYPE.text},
+        ],
+        data: Object.keys(results[0]).map((key)=>[
+          pascalCase(key),
+          results[0][key]
+        ]),
+        query: results[0].INFO || undefined,
+        grammar: 'source.sql',
+      }));
+    }).catch(err=>{
+      onDone(err);
+      return;
+    });
+  }
+
+  /**
+   * @param  {Connection} connection
+   * @param  {number}     processId
+   * @param  {string}     type        one of KILL_TYPE. QUERY stops the running statement, CONNECTION also closes the connection
+   * @param  {Logger}     logger
+   * @return {Promise}
+   */
+  kill(connection, processId, type, logger) {
+    let query = sql`KILL ${raw(type === KILL_TYPE.connection ? KILL_TYPE.connection : KILL_TYPE.query)} ${Number(processId)}`;
+
+    logger.log(query.sql);
+
+    return connection.query(query);
+  }
+
+  /**
+   * @param  {TreeItem[]} processes
+   * @param  {object}     filters    the filters in use, shown on the node details
+   * @return {TreeItem}
+   */
+  getProcessesNode(processes, filters) {
+    let applied = [
+      filters.hideSleeping ? 'no sleeping' : undefined,
+      filters.ownUser ? 'own user' : undefined,
+    ].filter((filter)=>filter !== undefined);
+
+    return new TreeItem({
+      label: 'Processes',
+      name: '#processes',
+      icon: 'mariadb-process',
+      children: processes,
+      details: applied.length > 0 ? `${processes.length} (${applied.join(', ')})` : processes.length || '',
+      collapsed: processes.length === 0,
+      datasets: {
+        processes: true,
+      },
+      actions: [
+        new ItemAction({name:"process-list", icon:"icon-struct", description:"Show as table"}),
+        new ItemAction({name:"process-filter", icon:"icon-filter", description:"Filter processes"}),
+      ]
+    });
+  }
+}
+
+export default new ProcessList();
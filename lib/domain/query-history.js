@@ -0,0 +1,170 @@
+'use babel';
+
+import TreeItem from '../dataModel/tree-item';
+import ItemAction from '../dataModel/item-action';
+import {default as ResultSet, TYPE} from '../dataModel/result-set';
+import JsonStore from '../helper/json-store';
+
+const QUOTED = `('(?:[^'\\\\]|\\\\.|'')*'|"(?:[^"\\\\]|\\\\.|"")*")`;
+// password values on CREATE/ALTER USER, GRANT, SET PASSWORD and the PASSWORD() function
+const PASSWORDS = [
+  new RegExp(`(\\bIDENTIFIED\\s+(?:(?:VIA|WITH)\\s+\\w+\\s+)?(?:BY|USING|AS)\\s+(?:PASSWORD\\s+)?)${QUOTED}`, 'gi'),
+  new RegExp(`(\\b(?:OLD_)?PASSWORD\\s*\\(\\s*)${QUOTED}`, 'gi'),
+  new RegExp(`(\\bSET\\s+PASSWORD\\b[^=]*=\\s*)${QUOTED}`, 'gi'),
+];
+const LABEL_LENGTH = 60;
+
+/**
+ * Queries run on each connection, kept between sessions with their time, duration, rows and outcome.
+ * Old entries are dropped by the "History size" and "History days" settings.
+ */
+class QueryHistory {
+  constructor() {
+    this.store = new JsonStore('history', {});
+  }
+
+  /**
+   * @param  {string} text  sql text
+   * @return {string}       the text with the passwords replaced by asterisks
+   */
+  redact(text) {
+    return PASSWORDS.reduce((result, expression)=>result.replace(expression, "$1'********'"), text);
+  }
+
+  /**
+   * @param {string} connectionName  Reference for the user's connection
+   * @param {object} entry           {sql, startedAt, duration, rows, affected, error, cancelled}. The sql is redacted before it is stored
+   * @throws {Error} when the history file can't be written
+   */
+  add(connectionName, entry) {
+    let maxEntries = atom.config.get('atom-dbex-mariadb.historySize');
+
+    if (maxEntries <= 0) {
+      return;
+    }
+
+    let item = Object.assign({}, entry, {
+      id: `${entry.startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+      sql: this.redact(entry.sql),
+    });
+
+    this.store.update((history)=>{
+      history[connectionName] = this._retained((history[connectionName] || []).concat(item), maxEntries);
+      return history;
+    });
+  }
+
+  _retained(entries, maxEntries) {
+    let days = atom.config.get('atom-dbex-mariadb.historyDays');
+    let oldest = days > 0 ? Date.now() - days * 86400000 : 0;
+
+    return entries.filter((entry)=>entry.startedAt >= oldest).slice(-maxEntries);
+  }
+
+  /**
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {string}   search          optional. Only entries containing this text (case insensitive) are listed
+   * @return {object[]} the entries, newest first
+   */
+  list(connectionName, search) {
+    let text = search ? search.toLowerCase() : '';
+
+    return (this.store.read()[connectionName] || [])
+      .filter((entry)=>text.length === 0 || entry.sql.toLowerCase().includes(text))
+      .reverse();
+  }
+
+  /**
+   * @param  {string} connectionName  Reference for the user's connection
+   * @param  {string} id              entry id
+   * @return {object} the entry or undefined when it is not there anymore
+   */
+  get(connectionName, id) {
+    return (this.store.read()[connectionName] || []).find((entry)=>entry.id === id);
+  }
+
+  /**
+   * @param {string} connectionName  Reference for the user's connection
+   */
+  clear(connectionName) {
+    this.store.update((history)=>{
+      delete history[connectionName];
+      return history;
+    });
+  }
+
+  getAll(entries) {
+    return entries.map((entry)=>new TreeItem({
+      label: this._label(entry.sql),
+      name: `#history.${entry.id}`,
+      icon: entry.error ? 'mariadb-history-error' : 'mariadb-history',
+      details: this._time(entry.startedAt),
+      collapsed: true,
+      datasets: {
+        historyId: entry.id,
+      },
+      actions: [
+        new ItemAction({name:"history-open", icon:"icon-open-editor", description:"Open in a new editor"}),
+        new ItemAction({name:"history-run", icon:"icon-run", description:"Run again"}),
+      ]
+    }));
+  }
+
+  /**
+   * @param  {object}    entry
+   * @return {ResultSet} the entry outcome, with its sql filled in the query area
+   */
+  getContent(entry) {
+    return new ResultSet({
+      columns: [
+        {name: 'Started', type: TYPE.text},
+        {name: 'Duration (ms)', type: TYPE.number},
+        {name: 'Rows returned', type: TYPE.number},
+        {name: 'Rows affected', type: TYPE.number},
+        {name: 'Result', type: TYPE.text},
+      ],
+      data: [[
+        this._time(entry.startedAt),
+        entry.duration,
+        entry.rows,
+        entry.affected,
+        entry.error ? `Error: ${entry.error}` : (entry.cancelled ? 'Cancelled by the user' : 'Success'),
+      ]],
+      query: entry.sql,
+      grammar: 'source.sql',
+    });
+  }
+
+  getHistoryNode(entries, search) {
+    return new TreeItem({
+      label: 'History',
+      name: '#history',
+      icon: 'mariadb-history',
+      children: this.getAll(entries),
+      details: search ? `containing ${search}` : (entries.length || ''),
+      collapsed: entries.length === 0,
+      datasets: {
+        history: true,
+      },
+      actions: [
+        new ItemAction({name:"history-search", icon:"icon-filter", description:"Search"}),
+        new ItemAction({name:"history-clear", icon:"icon-clear", description:"Clear history"}),
+      ]
+    });
+  }
+
+  _label(text) {
+    let line = text.replace(/\s+/g, ' ').trim();
+
+    return line.length > LABEL_LENGTH ? line.slice(0, LABEL_LENGTH - 3) + '...' : line;
+  }
+
+  _time(timestamp) {
+    let date = new Date(timestamp);
+    let pad = (value)=>String(value).padStart(2, '0');
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+}
+
+export default new QueryHistory();
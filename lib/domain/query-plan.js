@@ -0,0 +1,184 @@
+'use babel';
+
+import {default as ResultSet, TYPE} from '../dataModel/result-set';
+
+const PLAN_STATEMENT = /^\s*(EXPLAIN|ANALYZE)\s+FORMAT\s*=\s*JSON\s/i;
+const PLAN_PREFIX = /^\s*(EXPLAIN|ANALYZE)(\s+(FORMAT\s*=\s*\w+|EXTENDED|PARTITIONS))*\s+/i;
+const READ_ONLY_STATEMENT = /^[\s(]*(SELECT|WITH|VALUES|TABLE)\b/i;
+
+// below this percentage of rows kept by the WHERE clause, an index on the filtered columns is suggested
+const LOW_FILTERED = 10;
+const LOW_FILTERED_MIN_ROWS = 1000;
+
+/**
+ * Turns the json plan given by EXPLAIN FORMAT=JSON and ANALYZE FORMAT=JSON into a readable result,
+ * with one row for each step of the plan and the steps that usually need some tuning flagged.
+ */
+class QueryPlan {
+  /**
+   * @param  {string}  statement  the statement to be explained. A previous EXPLAIN or ANALYZE prefix is replaced
+   * @param  {boolean} analyze    when true the statement is executed, so the plan comes with real row counts and timings
+   * @return {string}
+   */
+  getStatement(statement, analyze) {
+    return `${analyze ? 'ANALYZE' : 'EXPLAIN'} FORMAT=JSON ${statement.replace(PLAN_PREFIX, '')}`;
+  }
+
+  /**
+   * @param  {string}  statement
+   * @return {boolean} true when ANALYZE would change data, since it really runs the statement
+   */
+  isWrite(statement) {
+    return !READ_ONLY_STATEMENT.test(statement.replace(PLAN_PREFIX, ''));
+  }
+
+  /**
+   * @param  {string}  statement
+   * @return {boolean} true for EXPLAIN FORMAT=JSON and ANALYZE FORMAT=JSON statements
+   */
+  isPlan(statement) {
+    return PLAN_STATEMENT.test(statement);
+  }
+
+  /**
+   * @param  {object}    results  rows given by the driver, with the json plan on the first column
+   * @param  {string}    query    the plan statement, filled in the query area
+   * @return {ResultSet}
+   */
+  toResultSet(results, query) {
+    let rows = [];
+    let analyzed = /^\s*ANALYZE/i.test(query);
+    let plan = results.length > 0 ? JSON.parse(Object.values(results[0])[0]) : {};
+
+    this._walk(plan, 0, rows, analyzed);
+
+    return new ResultSet({
+      columns: [
+        {name: 'Step', type: TYPE.text},
+        {name: 'Table', type: TYPE.text},
+        {name: 'Access type', type: TYPE.text},
+        {name: 'Key', type: TYPE.text},
+        {name: 'Possible keys', type: TYPE.text},
+        {name: analyzed ? 'Rows examined' : 'Rows examined (estimated)', type: TYPE.number},
+        {name: analyzed ? 'Rows returned' : 'Rows returned (estimated)', type: TYPE.number},
+        {name: 'Extra', type: TYPE.text},
+        {name: 'Warnings', type: TYPE.text},
+      ],
+      data: rows,
+      query: query,
+      grammar: 'source.sql',
+    });
+  }
+
+  /**
+   * Goes through the whole plan. Known nodes (query blocks, tables, sorts, temporary tables, unions) become rows
+   * and anything else is only traversed, so plans from different server versions are shown the same way.
+   */
+  _walk(node, depth, rows, analyzed) {
+    if (Array.isArray(node)) {
+      node.forEach((item)=>this._walk(item, depth, rows, analyzed));
+      return;
+    }
+
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    Object.keys(node).forEach((key)=>{
+      let value = node[key];
+      let step = undefined;
+
+      if (key === 'query_block') {
+        step = this._step(depth, `select #${value.select_id}`, analyzed && value.r_total_time_ms !== undefined ? `${value.r_total_time_ms} ms` : '');
+      } else if (key === 'table' && value.table_name !== undefined) {
+        rows.push(this._table(value, depth, analyzed));
+        this._walk(this._children(value), depth + 1, rows, analyzed);
+        return;
+      } else if (key === 'filesort') {
+        step = this._step(depth, 'filesort', value.sort_key ? `sort by ${value.sort_key}` : '', 'filesort: rows are sorted without an index');
+      } else if (key === 'temporary_table') {
+        step = this._step(depth, 'temporary table', '', 'temporary table: consider an index on the grouped or sorted columns');
+      } else if (key === 'union_result') {
+        step = this._step(depth, 'union', value.table_name || '');
+      } else if (key === 'materialized') {
+        step = this._step(depth, 'materialized', '');
+      } else if (key === 'duplicates_removal') {
+        step = this._step(depth, 'duplicates removal', '');
+      } else if (typeof value !== 'object') {
+        return;
+      }
+
+      if (step) {
+        rows.push(step);
+        this._walk(value, depth + 1, rows, analyzed);
+      } else {
+        this._walk(value, depth, rows, analyzed);
+      }
+    });
+  }
+
+  _step(depth, label, extra, warning = '') {
+    return [this._indent(depth) + label, null, null, null, null, null, null, extra, warning];
+  }
+
+  _table(table, depth, analyzed) {
+    let examined = analyzed && table.r_rows !== undefined ? table.r_rows : table.rows;
+    let filtered = analyzed && table.r_filtered !== undefined ? table.r_filtered : table.filtered;
+    let returned = examined !== undefined && filtered !== undefined ? Math.round(examined * filtered / 100) : examined;
+    let possibleKeys = table.possible_keys || [];
+    let warnings = [];
+    let extra = [];
+
+    if (table.access_type === 'ALL') {
+      warnings.push(possibleKeys.length > 0 ? 'full table scan, possible indexes not used' : 'full table scan, no index available');
+    } else if (table.access_type === 'index' && !table.using_index) {
+      warnings.push('full index scan');
+    }
+
+    if (filtered !== undefined && filtered < LOW_FILTERED && examined >= LOW_FILTERED_MIN_ROWS) {
+      warnings.push(`only ${filtered}% of the examined rows are used, an index on the filtered columns may help`);
+    }
+
+    if (table.using_index) {
+      extra.push('using index');
+    }
+
+    if (table.using_join_buffer || table.block_nl_join) {
+      extra.push('join buffer');
+    }
+
+    if (table.attached_condition) {
+      extra.push(`where ${table.attached_condition}`);
+    }
+
+    if (analyzed && table.r_total_time_ms !== undefined) {
+      extra.push(`${table.r_total_time_ms} ms`);
+    }
+
+    return [
+      this._indent(depth) + (table.access_type === 'ALL' ? 'scan' : 'read'),
+      table.table_name,
+      table.access_type || null,
+      table.key || null,
+      possibleKeys.join(', ') || null,
+      examined === undefined ? null : examined,
+      returned === undefined ? null : returned,
+      extra.join('; '),
+      warnings.join('; '),
+    ];
+  }
+
+  /**
+   * Nested plans inside a table node, like derived tables and subqueries
+   */
+  _children(table) {
+    return Object.keys(table).filter((key)=>typeof table[key] === 'object' && key !== 'possible_keys' && key !== 'used_key_parts' && key !== 'ref')
+      .map((key)=>({[key]: table[key]}));
+  }
+
+  _indent(depth) {
+    return depth === 0 ? '' : '  '.repeat(depth - 1) + '└ ';
+  }
+}
+
+export default new QueryPlan();
@@ -0,0 +1,85 @@
+'use babel';
+
+import fs from 'fs';
+import {SqlSplitter} from '../helper/sql-splitter';
+import {default as sql, id} from '../helper/sql';
+
+/**
+ * Imports a sql dump file into a schema. The file is read in chunks and every statement
+ * runs as soon as it is complete, so files of any size can be restored.
+ */
+class Restore {
+  /**
+   * @param  {Connection} connection  a connection that is not shared while the import runs. Its default database is changed
+   *                                  (by this import and by any USE on the file), so it must be destroyed afterwards, not released
+   * @param  {string}     schema      schema where the statements run
+   * @param  {string}     path        dump file path
+   * @param  {object}     options     stopOnError: aborts at the first failure, otherwise failures are logged and skipped;
+   *                                  isCancelled: callable checked before every statement
+   * @param  {callable}   onProgress  receives a text describing the current step
+   * @param  {callable}   onDone      receives an error (or undefined) and a summary {statements, rowsAffected, failures, cancelled}
+   * @param  {Logger}     logger
+   */
+  import(connection, schema, path, options, onProgress, onDone, logger) {
+    let summary = {statements: 0, rowsAffected: 0, failures: [], cancelled: false};
+
+    this._import(connection, schema, path, options, onProgress, logger, summary).then(
+      ()=>onDone(undefined, summary),
+      (err)=>onDone(err, summary)
+    );
+  }
+
+  async _import(connection, schema, path, {stopOnError = true, isCancelled = ()=>false}, onProgress, logger, summary) {
+    let size = fs.statSync(path).size;
+    let splitter = new SqlSplitter();
+    let input = fs.createReadStream(path, {encoding: 'utf8'});
+
+    let run = async (statement)=>{
+      logger.log(statement.sql);
+
+      try {
+        let result = await connection.query(statement.sql);
+
+        summary.statements++;
+        summary.rowsAffected += result.affectedRows || 0;
+      } catch (err) {
+        summary.failures.push({line: statement.line, message: err.message || String(err)});
+        logger.log(`line ${statement.line}: ${err.message || err}`);
+
+        if (stopOnError) {
+          throw new Error(`Line ${statement.line}: ${err.message || err}`);
+        }
+      }
+    };
+
+    await connection.query(sql`USE ${id(schema)}`);
+
+    try {
+      for await (let chunk of input) {
+        for (let statement of splitter.push(chunk)) {
+          if (isCancelled()) {
+            summary.cancelled = true;
+            return;
+          }
+
+          await run(statement);
+        }
+
+        onProgress(`${Math.round(input.bytesRead * 100 / (size || 1))}% read, ${summary.statements} statements executed`);
+      }
+
+      for (let statement of splitter.end()) {
+        if (isCancelled()) {
+          summary.cancelled = true;
+          return;
+        }
+
+        await run(statement);
+      }
+    } finally {
+      input.destroy();
+    }
+  }
+}
+
+export default new Restore();
@@ -5,6 +5,7 @@ import ItemAction from '../dataModel/item-action';
 import pascalCase from '../helper/pascal-case';
 import {default as ResultSet, TYPE} from '../dataModel/result-set';
 import SqlPrettier from 'sql-prettier';
+import {default as sql, id, raw} from '../helper/sql';
 
 export class Routine {
   get type() {
@@ -16,14 +17,14 @@ export class Routine {
   }
 
   getAll(connection, database, onDone, logger, routineName) {
-    let specificRoutine = routineName ? ` AND ROUTINE_NAME = '${routineName}'` : '';
-    let query = `
+    let specificRoutine = routineName ? sql` AND ROUTINE_NAME = ${routineName}` : raw('');
+    let query = sql`
 SELECT ROUTINE_SCHEMA, ROUTINE_NAME
   FROM INFORMATION_SCHEMA.ROUTINES
- WHERE ROUTINE_TYPE = '${this.type}' AND ROUTINE_SCHEMA='${database}' ${specificRoutine}
+ WHERE ROUTINE_TYPE = ${this.type} AND ROUTINE_SCHEMA=${database} ${specificRoutine}
 `;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       let functions = [];
@@ -42,6 +43,7 @@ SELECT ROUTINE_SCHEMA, ROUTINE_NAME
           },
           actions: [
             new ItemAction({name:"structure", icon:"icon-struct", description:"Show structure"}),
+            new ItemAction({name:"sql-template", icon:"icon-template", description:this.type === 'FUNCTION' ? "Generate SELECT" : "Generate CALL"}),
           ]
         }));
       });
@@ -56,13 +58,13 @@ SELECT ROUTINE_SCHEMA, ROUTINE_NAME
   }
 
   getContent(connection, routineName, routineSchema, onDone, logger) {
-    let query = `
+    let query = sql`
 SELECT *
   FROM INFORMATION_SCHEMA.ROUTINES
- WHERE ROUTINE_NAME='${routineName}' AND ROUTINE_SCHEMA='${routineSchema}'
+ WHERE ROUTINE_NAME=${routineName} AND ROUTINE_SCHEMA=${routineSchema}
 `;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       let resultSet = new ResultSet({
@@ -84,10 +86,10 @@ SELECT *
     });
   }
 
-  getStructure(routineName, connection, onDone, logger) {
-    let query = `SHOW CREATE ${this.type} ${routineName}`;
+  getStructure(routineSchema, routineName, connection, onDone, logger) {
+    let query = sql`SHOW CREATE ${raw(this.type)} ${id(routineSchema, routineName)}`;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       onDone(
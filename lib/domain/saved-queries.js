@@ -0,0 +1,214 @@
+'use babel';
+
+import TreeItem from '../dataModel/tree-item';
+import ItemAction from '../dataModel/item-action';
+import {default as ResultSet} from '../dataModel/result-set';
+import JsonStore from '../helper/json-store';
+
+const PLACEHOLDER = /\$\{([A-Za-z_][\w]*)\}/g;
+// filled with the node schema instead of being asked
+export const SCHEMA_PLACEHOLDER = 'schema';
+
+/**
+ * Named sql snippets kept for each connection, or for a schema of the connection, organized in folders.
+ * Snippets may have ${name} placeholders, asked to the user on every run.
+ */
+class SavedQueries {
+  constructor() {
+    this.store = new JsonStore('saved-queries', {});
+  }
+
+  /**
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {string}   schema          the schema of the library, empty for the connection library
+   * @return {object[]} the saved queries as {id, name, folder, sql}, sorted by folder and name
+   */
+  list(connectionName, schema) {
+    let libraries = this.store.read()[connectionName] || {};
+
+    return (libraries[schema || ''] || []).slice().sort((a, b)=>
+      a.folder.localeCompare(b.folder) || a.name.localeCompare(b.name)
+    );
+  }
+
+  get(connectionName, schema, id) {
+    return this.list(connectionName, schema).find((query)=>query.id === id);
+  }
+
+  /**
+   * Adds a query to the library. A query with the same folder and name is replaced
+   * @param {string} connectionName  Reference for the user's connection
+   * @param {string} schema          the schema of the library, empty for the connection library
+   * @param {object} query           {name, folder, sql}. Folders are paths like "reports/daily"
+   */
+  save(connectionName, schema, {name, folder, sql}) {
+    this._update(connectionName, schema, (queries)=>this._merge(queries, [{name, folder, sql}]));
+  }
+
+  remove(connectionName, schema, id) {
+    this._update(connectionName, schema, (queries)=>queries.filter((query)=>query.id !== id));
+  }
+
+  /**
+   * @param  {object[]} queries  saved queries
+   * @return {object}            the content of an export file
+   */
+  exportData(queries) {
+    return {queries: queries.map((query)=>({name: query.name, folder: query.folder, sql: query.sql}))};
+  }
+
+  /**
+   * Adds the queries of an export file to the library, replacing the ones with the same folder and name
+   * @param  {string} connectionName  Reference for the user's connection
+   * @param  {string} schema          the schema of the library, empty for the connection library
+   * @param  {object} data            the content of an export file
+   * @return {number} the number of imported queries
+   */
+  importData(connectionName, schema, data) {
+    let queries = data && Array.isArray(data.queries) ? data.queries : undefined;
+
+    let invalid = (query)=>!query || typeof query.name !== 'string' || typeof query.sql !== 'string'
+      || (query.folder !== undefined && typeof query.folder !== 'string');
+
+    if (!queries || queries.some(invalid)) {
+      throw new Error('The file is not a saved queries export: a "queries" list of {name, folder, sql} is expected');
+    }
+
+    this._update(connectionName, schema, (current)=>this._merge(current, queries));
+
+    return queries.length;
+  }
+
+  _update(connectionName, schema, change) {
+    this.store.update((libraries)=>{
+      let library = libraries[connectionName] = libraries[connectionName] || {};
+
+      library[schema || ''] = change(library[schema || ''] || []);
+
+      return libraries;
+    });
+  }
+
+  _merge(current, queries) {
+    let added = queries.map((query)=>({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: query.name.trim(),
+      folder: this._folder(query.folder),
+      sql: query.sql,
+    }));
+
+    return current.filter((query)=>!added.some((item)=>item.folder === query.folder && item.name === query.name)).concat(added);
+  }
+
+  _folder(folder) {
+    return (folder || '').split('/').map((part)=>part.trim()).filter((part)=>part.length > 0).join('/');
+  }
+
+  /**
+   * @param  {string}   sql
+   * @return {string[]} names of the ${name} placeholders, in the order they first appear
+   */
+  placeholders(sql) {
+    let names = [];
+    let match = undefined;
+
+    PLACEHOLDER.lastIndex = 0;
+
+    while ((match = PLACEHOLDER.exec(sql)) !== null) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * @param  {string} sql
+   * @param  {object} values  {placeholder: value}. Values are inserted as they are, so text needs its quotes on the query
+   * @return {string}
+   */
+  fill(sql, values) {
+    return sql.replace(PLACEHOLDER, (placeholder, name)=>values[name] !== undefined ? values[name] : placeholder);
+  }
+
+  getContent(query) {
+    return new ResultSet({
+      query: query.sql,
+      grammar: 'source.sql',
+    });
+  }
+
+  /**
+   * @param  {object[]} queries  saved queries of the library
+   * @param  {string}   schema   the schema of the library, empty for the connection library
+   * @param  {string}   folder   only the queries inside this folder are listed
+   * @return {TreeItem[]}        folder and query nodes
+   */
+  getAll(queries, schema, folder = '') {
+    let prefix = folder ? folder + '/' : '';
+    let inside = queries.filter((query)=>query.folder === folder || query.folder.startsWith(prefix));
+    let subfolders = [];
+
+    inside.filter((query)=>query.folder !== folder).forEach((query)=>{
+      let name = query.folder.slice(prefix.length).split('/')[0];
+
+      if (!subfolders.includes(name)) {
+        subfolders.push(name);
+      }
+    });
+
+    return subfolders.map((name)=>new TreeItem({
+      label: name,
+      name: `#saved.${schema || ''}.${prefix}${name}`,
+      icon: 'mariadb-folder',
+      children: this.getAll(queries, schema, prefix + name),
+      details: '',
+      collapsed: true,
+      datasets: {
+        savedSchema: schema || '',
+        savedFolder: prefix + name,
+      },
+      actions: [
+        new ItemAction({name:"saved-add", icon:"icon-save-query", description:"Save the editor query here"}),
+      ]
+    })).concat(inside.filter((query)=>query.folder === folder).map((query)=>new TreeItem({
+      label: query.name,
+      name: `#saved.${schema || ''}.${query.id}`,
+      icon: 'mariadb-saved-query',
+      details: this.placeholders(query.sql).filter((name)=>name !== SCHEMA_PLACEHOLDER).length > 0 ? 'with parameters' : '',
+      collapsed: true,
+      datasets: {
+        savedSchema: schema || '',
+        savedQueryId: query.id,
+      },
+      actions: [
+        new ItemAction({name:"saved-run", icon:"icon-run", description:"Run"}),
+        new ItemAction({name:"saved-open", icon:"icon-open-editor", description:"Open in a new editor"}),
+        new ItemAction({name:"saved-delete", icon:"icon-clear", description:"Delete"}),
+      ]
+    })));
+  }
+
+  getSavedQueriesNode(queries, schema) {
+    return new TreeItem({
+      label: 'Saved Queries',
+      name: `#saved.${schema || ''}`,
+      icon: 'mariadb-saved-query',
+      children: this.getAll(queries, schema),
+      details: queries.length || '',
+      collapsed: true,
+      datasets: {
+        savedQueries: true,
+        savedSchema: schema || '',
+      },
+      actions: [
+        new ItemAction({name:"saved-add", icon:"icon-save-query", description:"Save the editor query"}),
+        new ItemAction({name:"saved-import", icon:"icon-import", description:"Import from a json file"}),
+        new ItemAction({name:"saved-export", icon:"icon-export", description:"Export to a json file"}),
+      ]
+    });
+  }
+}
+
+export default new SavedQueries();
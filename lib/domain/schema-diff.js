@@ -0,0 +1,422 @@
+'use babel';
+
+import {default as ResultSet, TYPE} from '../dataModel/result-set';
+import constraint, {CONSTRAINT_TYPE} from './constraint';
+import {default as sql, id, raw, quoteId} from '../helper/sql';
+
+const DEFINER = /\s+DEFINER\s*=\s*(`[^`]*`|'[^']*'|[^\s@]+)@(`[^`]*`|'[^']*'|\S+)/i;
+
+/**
+ * Compares the structure of two schemas and writes the migration script that makes the target look like the source.
+ * Both schemas may live on different servers, so each side is loaded on its own connection.
+ */
+class SchemaDiff {
+  /**
+   * Loads everything that is compared: tables (columns, options, indexes, foreign keys and checks),
+   * views, routines, triggers and events. Definers and the schema name are removed from the CREATE
+   * statements, so the same object on two schemas compares as equal.
+   * @param  {Connection|Pool} connection
+   * @param  {string}          schema
+   * @param  {Logger}          logger
+   * @return {Promise}         resolves with the schema snapshot
+   */
+  async load(connection, schema, logger) {
+    let query = (fragment)=>{
+      logger.log(fragment.sql);
+      return connection.query(fragment);
+    };
+    let snapshot = {schema, tables: {}, views: {}, routines: {}, triggers: {}, events: {}};
+    let normalize = (create)=>create.replace(DEFINER, '').split(quoteId(schema) + '.').join('');
+
+    let tables = await query(sql`
+SELECT TABLE_NAME, TABLE_TYPE, ENGINE, TABLE_COLLATION, TABLE_COMMENT
+  FROM INFORMATION_SCHEMA.TABLES
+ WHERE TABLE_SCHEMA = ${schema}
+ORDER BY TABLE_NAME
+`);
+    let columns = await query(sql`
+SELECT TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, COLLATION_NAME, IS_NULLABLE, COLUMN_DEFAULT, EXTRA, COLUMN_COMMENT, GENERATION_EXPRESSION
+  FROM INFORMATION_SCHEMA.COLUMNS
+ WHERE TABLE_SCHEMA = ${schema}
+ORDER BY TABLE_NAME, ORDINAL_POSITION
+`);
+    let constraints = await constraint.getAll(connection, schema, undefined, logger);
+
+    tables.forEach((record)=>{
+      if (record.TABLE_TYPE === 'VIEW') {
+        return;
+      }
+
+      snapshot.tables[record.TABLE_NAME] = {
+        name: record.TABLE_NAME,
+        engine: record.ENGINE,
+        collation: record.TABLE_COLLATION,
+        comment: record.TABLE_COMMENT,
+        columns: [],
+        indexes: constraints.indexes[record.TABLE_NAME] || [],
+        foreignKeys: constraints.foreignKeys[record.TABLE_NAME] || [],
+        checks: constraints.checks[record.TABLE_NAME] || [],
+      };
+    });
+
+    columns.forEach((record)=>{
+      let table = snapshot.tables[record.TABLE_NAME];
+
+      if (table) {
+        table.columns.push({name: record.COLUMN_NAME, definition: this._columnDefinition(record, table.collation)});
+      }
+    });
+
+    for (let record of tables.filter((t)=>t.TABLE_TYPE === 'VIEW')) {
+      let results = await query(sql`SHOW CREATE VIEW ${id(schema, record.TABLE_NAME)}`);
+      snapshot.views[record.TABLE_NAME] = normalize(results[0]['Create View']);
+    }
+
+    let routines = await query(
+      sql`SELECT ROUTINE_NAME, ROUTINE_TYPE FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_SCHEMA = ${schema} ORDER BY ROUTINE_TYPE, ROUTINE_NAME`
+    );
+
+    for (let record of routines) {
+      let results = await query(sql`SHOW CREATE ${raw(record.ROUTINE_TYPE)} ${id(schema, record.ROUTINE_NAME)}`);
+      let create = results[0][record.ROUTINE_TYPE === 'FUNCTION' ? 'Create Function' : 'Create Procedure'];
+
+      // the create statement is null when the user has no privileges to see the routine body
+      if (create) {
+        snapshot.routines[`${record.ROUTINE_TYPE} ${record.ROUTINE_NAME}`] = {type: record.ROUTINE_TYPE, name: record.ROUTINE_NAME, create: normalize(create)};
+      }
+    }
+
+    let triggers = await query(
+      sql`SELECT TRIGGER_NAME FROM INFORMATION_SCHEMA.TRIGGERS WHERE TRIGGER_SCHEMA = ${schema} ORDER BY TRIGGER_NAME`
+    );
+
+    for (let record of triggers) {
+      let results = await query(sql`SHOW CREATE TRIGGER ${id(schema, record.TRIGGER_NAME)}`);
+      snapshot.triggers[record.TRIGGER_NAME] = normalize(results[0]['SQL Original Statement']);
+    }
+
+    let events = await query(
+      sql`SELECT EVENT_NAME FROM INFORMATION_SCHEMA.EVENTS WHERE EVENT_SCHEMA = ${schema} ORDER BY EVENT_NAME`
+    );
+
+    for (let record of events) {
+      let results = await query(sql`SHOW CREATE EVENT ${id(schema, record.EVENT_NAME)}`);
+      snapshot.events[record.EVENT_NAME] = normalize(results[0]['Create Event']);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * @param  {object} source  snapshot with the wanted structure
+   * @param  {object} target  snapshot of the schema to be changed
+   * @return {object}         {differences, sections} where differences is a list of [object type, name, change, detail]
+   *                          and sections the statements grouped in the order they must run
+   */
+  compare(source, target) {
+    let differences = [];
+    let sections = {
+      dropForeignKeys: [],
+      dropObjects: [],
+      createTables: [],
+      alterTables: [],
+      dropTables: [],
+      addForeignKeys: [],
+      createViews: [],
+      createDelimited: [],
+    };
+    let differ = (kind, name, change, detail)=>differences.push([kind, name, change, detail || '']);
+    let byName = (items)=>items.reduce((map, item)=>Object.assign(map, {[item.name]: item}), {});
+
+    Object.values(source.tables).forEach((table)=>{
+      let current = target.tables[table.name];
+
+      if (!current) {
+        differ('Table', table.name, 'create');
+        sections.createTables.push(this._createTable(table));
+        // the script runs on the target schema, so only references to other schemas keep their schema
+        table.foreignKeys.forEach((fk)=>sections.addForeignKeys.push(
+          `ALTER TABLE ${quoteId(table.name)} ${constraint.getDefinition(CONSTRAINT_TYPE.foreignKey, fk, source.schema)}`
+        ));
+        return;
+      }
+
+      let specs = [];
+      let details = [];
+      let wantedColumns = byName(table.columns);
+      let currentColumns = byName(current.columns);
+
+      if (table.engine !== current.engine) {
+        specs.push(`ENGINE=${table.engine}`);
+        details.push(`engine ${current.engine} -> ${table.engine}`);
+      }
+
+      if (table.collation !== current.collation) {
+        specs.push(`COLLATE=${table.collation}`);
+        details.push(`collation ${current.collation} -> ${table.collation}`);
+      }
+
+      if (table.comment !== current.comment) {
+        specs.push(`COMMENT=${this._literal(table.comment)}`);
+        details.push('comment changed');
+      }
+
+      let indexChanges = this._compareList(CONSTRAINT_TYPE.index, table.indexes, current.indexes);
+      let checkChanges = this._compareList(CONSTRAINT_TYPE.check, table.checks, current.checks);
+
+      indexChanges.drop.concat(checkChanges.drop).forEach((change)=>specs.push(change.spec));
+
+      current.columns.filter((column)=>!wantedColumns[column.name]).forEach((column)=>{
+        specs.push(`DROP COLUMN ${quoteId(column.name)}`);
+        details.push(`column ${column.name} dropped`);
+      });
+
+      table.columns.forEach((column, i)=>{
+        let position = i === 0 ? 'FIRST' : `AFTER ${quoteId(table.columns[i - 1].name)}`;
+
+        if (!currentColumns[column.name]) {
+          specs.push(`ADD COLUMN ${quoteId(column.name)} ${column.definition} ${position}`);
+          details.push(`column ${column.name} added`);
+        } else if (currentColumns[column.name].definition !== column.definition) {
+          specs.push(`MODIFY COLUMN ${quoteId(column.name)} ${column.definition}`);
+          details.push(`column ${column.name}: ${currentColumns[column.name].definition} -> ${column.definition}`);
+        }
+      });
+
+      indexChanges.add.concat(checkChanges.add).forEach((change)=>specs.push(change.spec));
+      details = details.concat(indexChanges.details, checkChanges.details);
+
+      let fkChanges = this._compareList(CONSTRAINT_TYPE.foreignKey, table.foreignKeys, current.foreignKeys, source.schema, target.schema);
+
+      fkChanges.drop.forEach((change)=>sections.dropForeignKeys.push(`ALTER TABLE ${quoteId(table.name)} ${change.spec}`));
+      fkChanges.add.forEach((change)=>sections.addForeignKeys.push(`ALTER TABLE ${quoteId(table.name)} ${change.spec}`));
+      details = details.concat(fkChanges.details);
+
+      if (specs.length > 0) {
+        sections.alterTables.push(`ALTER TABLE ${quoteId(table.name)}\n  ${specs.join(",\n  ")}`);
+      }
+
+      if (details.length > 0) {
+        differ('Table', table.name, 'alter', details.join('; '));
+      }
+    });
+
+    Object.values(target.tables).filter((table)=>!source.tables[table.name]).forEach((table)=>{
+      differ('Table', table.name, 'drop');
+      sections.dropTables.push(`DROP TABLE ${quoteId(table.name)}`);
+    });
+
+    this._compareObjects(source.views, target.views, (name, create)=>{
+      if (create !== undefined) {
+        sections.createViews.push({name, create});
+      } else {
+        sections.dropObjects.push(`DROP VIEW IF EXISTS ${quoteId(name)}`);
+      }
+    }, (name, change)=>differ('View', name, change));
+
+    this._compareObjects(source.routines, target.routines, (key, routine)=>{
+      let item = routine || target.routines[key];
+
+      if (routine) {
+        sections.createDelimited.push(routine.create);
+      } else {
+        sections.dropObjects.push(`DROP ${item.type} IF EXISTS ${quoteId(item.name)}`);
+      }
+    }, (key, change)=>differ((source.routines[key] || target.routines[key]).type === 'FUNCTION' ? 'Function' : 'Procedure',
+      (source.routines[key] || target.routines[key]).name, change), (a, b)=>a.create === b.create);
+
+    this._compareObjects(source.triggers, target.triggers, (name, create)=>{
+      if (create !== undefined) {
+        sections.createDelimited.push(create);
+      } else {
+        sections.dropObjects.push(`DROP TRIGGER IF EXISTS ${quoteId(name)}`);
+      }
+    }, (name, change)=>differ('Trigger', name, change));
+
+    this._compareObjects(source.events, target.events, (name, create)=>{
+      if (create !== undefined) {
+        sections.createDelimited.push(create);
+      } else {
+        sections.dropObjects.push(`DROP EVENT IF EXISTS ${quoteId(name)}`);
+      }
+    }, (name, change)=>differ('Event', name, change));
+
+    sections.createViews = this._sortViews(sections.createViews);
+
+    return {differences, sections};
+  }
+
+  /**
+   * @param  {object} comparison  as given by compare
+   * @param  {string} sourceLabel description of the source schema, used on the script header
+   * @param  {string} target      target schema name
+   * @param  {string} targetLabel description of the target schema, used on the script header
+   * @return {string}             the migration script
+   */
+  getScript({sections}, sourceLabel, target, targetLabel) {
+    let block = (title, statements)=>statements.length === 0 ? '' :
+      `--\n-- ${title}\n--\n\n${statements.map((statement)=>statement + ";\n").join("\n")}\n`;
+
+    return `-- Migration generated by atom-dbex-mariadb
+-- Makes ${targetLabel} match ${sourceLabel}
+-- Date: ${new Date().toISOString()}
+-- Review it before running: dropped tables and columns lose their data
+
+USE ${quoteId(target)};
+/*!40014 SET @OLD_FOREIGN_KEY_CHECKS=@@FOREIGN_KEY_CHECKS, FOREIGN_KEY_CHECKS=0 */;
+
+` +
+      block('Foreign keys to be removed or changed', sections.dropForeignKeys) +
+      block('Views, routines, triggers and events to be removed or replaced', sections.dropObjects) +
+      block('New tables', sections.createTables) +
+      block('Changed tables', sections.alterTables) +
+      block('Removed tables', sections.dropTables) +
+      block('Foreign keys', sections.addForeignKeys) +
+      block('Views', sections.createViews.map((view)=>view.create)) +
+      (sections.createDelimited.length === 0 ? '' :
+        `--\n-- Routines, triggers and events\n--\n\nDELIMITER ;;\n\n${sections.createDelimited.map((create)=>create + ";;\n").join("\n")}\nDELIMITER ;\n\n`) +
+      "/*!40014 SET FOREIGN_KEY_CHECKS=@OLD_FOREIGN_KEY_CHECKS */;\n";
+  }
+
+  /**
+   * @param  {object}    comparison  as given by compare
+   * @return {ResultSet}             one row for each difference
+   */
+  getSummary({differences}) {
+    return new ResultSet({
+      columns: [
+        {name: 'Type', type: TYPE.text},
+        {name: 'Name', type: TYPE.text},
+        {name: 'Change', type: TYPE.text},
+        {name: 'Detail', type: TYPE.text},
+      ],
+      data: differences,
+    });
+  }
+
+  /**
+   * Compares indexes, checks or foreign keys of a table by name and definition.
+   * Changed items are dropped and added again. Foreign keys to their own schema compare the same on both sides.
+   */
+  _compareList(type, wanted, current, wantedSchema, currentSchema) {
+    let label = {[CONSTRAINT_TYPE.index]: 'index', [CONSTRAINT_TYPE.foreignKey]: 'foreign key', [CONSTRAINT_TYPE.check]: 'check'}[type];
+    let changes = {drop: [], add: [], details: []};
+
+    current.forEach((item)=>{
+      let match = wanted.find((w)=>w.name === item.name);
+
+      if (!match || constraint.getDefinition(type, match, wantedSchema) !== constraint.getDefinition(type, item, currentSchema)) {
+        changes.drop.push({spec: constraint.getDropDefinition(type, item)});
+      }
+
+      if (!match) {
+        changes.details.push(`${label} ${item.name} dropped`);
+      }
+    });
+
+    wanted.forEach((item)=>{
+      let match = current.find((c)=>c.name === item.name);
+
+      if (!match || constraint.getDefinition(type, match, currentSchema) !== constraint.getDefinition(type, item, wantedSchema)) {
+        changes.add.push({spec: constraint.getDefinition(type, item, wantedSchema)});
+        changes.details.push(`${label} ${item.name} ${match ? 'changed' : 'added'}`);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Compares {name: create statement} maps. onStatement receives (name, wanted) for what must be created
+   * and (name, undefined) for what must be dropped; changed objects get both calls
+   */
+  _compareObjects(wanted, current, onStatement, onDifference, equals = (a, b)=>a === b) {
+    Object.keys(wanted).forEach((name)=>{
+      if (current[name] === undefined) {
+        onDifference(name, 'create');
+        onStatement(name, wanted[name]);
+      } else if (!equals(wanted[name], current[name])) {
+        onDifference(name, 'replace');
+        onStatement(name, undefined);
+        onStatement(name, wanted[name]);
+      }
+    });
+
+    Object.keys(current).filter((name)=>wanted[name] === undefined).forEach((name)=>{
+      onDifference(name, 'drop');
+      onStatement(name, undefined);
+    });
+  }
+
+  /**
+   * Views may select from other views, so the referenced ones are created first
+   */
+  _sortViews(views) {
+    let sorted = [];
+    let pending = views.slice();
+
+    while (pending.length > 0) {
+      let ready = pending.filter((view)=>!pending.some((other)=>other !== view && view.create.includes(quoteId(other.name))));
+
+      // circular or unresolved references keep the original order
+      ready = ready.length > 0 ? ready : pending.slice(0, 1);
+      sorted = sorted.concat(ready);
+      pending = pending.filter((view)=>!ready.includes(view));
+    }
+
+    return sorted;
+  }
+
+  _createTable(table) {
+    let definitions = table.columns.map((column)=>`${quoteId(column.name)} ${column.definition}`).concat(
+      table.indexes.map((index)=>constraint.getDefinition(CONSTRAINT_TYPE.index, index).replace(/^ADD /, '')),
+      table.checks.map((check)=>constraint.getDefinition(CONSTRAINT_TYPE.check, check).replace(/^ADD /, ''))
+    );
+    let options = [
+      table.engine ? `ENGINE=${table.engine}` : undefined,
+      table.collation ? `DEFAULT COLLATE=${table.collation}` : undefined,
+      table.comment ? `COMMENT=${this._literal(table.comment)}` : undefined,
+    ].filter((option)=>option !== undefined);
+
+    return `CREATE TABLE ${quoteId(table.name)} (\n  ${definitions.join(",\n  ")}\n) ${options.join(' ')}`;
+  }
+
+  /**
+   * Column definition as it would be written on CREATE TABLE. The collation is only written when it
+   * differs from the table default. COLUMN_DEFAULT is expected as MariaDB 10.2.7+ gives it (quoted literals or expressions)
+   */
+  _columnDefinition(column, tableCollation) {
+    let parts = [column.COLUMN_TYPE];
+    let extra = (column.EXTRA || '').replace(/DEFAULT_GENERATED/i, '').trim();
+
+    if (column.COLLATION_NAME && column.COLLATION_NAME !== tableCollation) {
+      parts.push(`COLLATE ${column.COLLATION_NAME}`);
+    }
+
+    if (column.GENERATION_EXPRESSION) {
+      parts.push(`GENERATED ALWAYS AS (${column.GENERATION_EXPRESSION}) ${/STORED|PERSISTENT/i.test(extra) ? 'PERSISTENT' : 'VIRTUAL'}`);
+    } else {
+      parts.push(column.IS_NULLABLE === 'YES' ? 'NULL' : 'NOT NULL');
+
+      if (column.COLUMN_DEFAULT !== null && !(column.IS_NULLABLE === 'YES' && column.COLUMN_DEFAULT === 'NULL')) {
+        parts.push(`DEFAULT ${column.COLUMN_DEFAULT}`);
+      }
+
+      if (extra.length > 0) {
+        parts.push(extra);
+      }
+    }
+
+    if (column.COLUMN_COMMENT) {
+      parts.push(`COMMENT ${this._literal(column.COLUMN_COMMENT)}`);
+    }
+
+    return parts.join(' ');
+  }
+
+  _literal(text) {
+    return "'" + String(text).replace(/\\/g, '\\\\').replace(/'/g, "''") + "'";
+  }
+}
+
+export default new SchemaDiff();
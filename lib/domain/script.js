@@ -0,0 +1,111 @@
+'use babel';
+
+import {castValue} from './field-type';
+
+// errno of the statements stopped by KILL QUERY
+export const ER_QUERY_INTERRUPTED = 1317;
+const ROWS_STATEMENT = /^[\s(]*(SELECT|SHOW|DESC|DESCRIBE|EXPLAIN|ANALYZE|CALL|WITH|VALUES|TABLE|HELP)\b/i;
+
+/**
+ * Runs a list of statements in order, always on the same connection, so session changes
+ * (SET, temporary tables, transactions, etc.) are kept between the statements.
+ */
+class Script {
+  /**
+   * @param  {Connection} connection   the connection used for every statement
+   * @param  {object[]}   statements   a list of {sql, line} as given by the sql-splitter
+   * @param  {object}     options      stopOnError: stops at the first failure; onProgress: called before every statement with (index, total, statement);
+   *                                   isCancelled: checked before every statement, the script stops when it returns true;
+   *                                   maxRows: rows kept for each result; interrupt: called with the connection thread id when maxRows is reached
+   * @param  {callable}   onDone       receives a list of {statement, result} or {statement, error} in the execution order.
+   *                                   Results cut by maxRows have the truncated flag
+   * @param  {Logger}     logger
+   */
+  run(connection, statements, {stopOnError = true, isCancelled = ()=>false, onProgress = ()=>{}, maxRows = Infinity, interrupt = ()=>Promise.resolve()}, onDone, logger) {
+    let outcomes = [];
+
+    let next = (index)=>{
+      if (index >= statements.length || isCancelled()) {
+        onDone(outcomes);
+        return;
+      }
+
+      let statement = statements[index];
+
+      onProgress(index, statements.length, statement);
+      logger.log(statement.sql);
+
+      let execution = ROWS_STATEMENT.test(statement.sql)
+        ? this._stream(connection, statement.sql, maxRows, interrupt)
+        : connection.query({sql: statement.sql, typeCast: castValue});
+
+      // both handlers on the same then, so an exception thrown by onDone is never taken as a statement failure
+      execution.then((result)=>{
+        outcomes.push({statement, result});
+        next(index + 1);
+      }, (err)=>{
+        outcomes.push({statement, error: err});
+
+        if (stopOnError) {
+          onDone(outcomes);
+        } else {
+          next(index + 1);
+        }
+      });
+    };
+
+    next(0);
+  }
+
+  /**
+   * Reads the rows one by one and keeps only the first maxRows of them, so memory stays bounded.
+   * When the limit is reached the query is interrupted on the server and the rest is discarded.
+   * A CALL may send a result set for each SELECT of the procedure; like on toResultSet, only the first one is kept.
+   * @return {Promise} resolves with the rows (with meta and truncated properties), like connection.query does
+   */
+  _stream(connection, sql, maxRows, interrupt) {
+    return new Promise((resolve, reject) => {
+      let rows = [];
+      let interruption = undefined;
+      let skipped = false;
+      let stream = connection.queryStream({sql: sql, typeCast: castValue});
+
+      rows.truncated = false;
+
+      let finish = ()=>{
+        // the next statement only starts after the kill, so it can't be interrupted by mistake
+        (interruption || Promise.resolve()).then(()=>resolve(rows), ()=>resolve(rows));
+      };
+
+      stream.on('fields', (meta)=>{
+        skipped = rows.meta !== undefined;
+        rows.meta = rows.meta || meta;
+      });
+
+      stream.on('data', (row)=>{
+        if (skipped) {
+          return;
+        }
+
+        if (rows.length < maxRows) {
+          rows.push(row);
+        } else if (!rows.truncated) {
+          rows.truncated = true;
+          interruption = interrupt(connection.threadId);
+        }
+      });
+
+      stream.on('error', (err)=>{
+        if (rows.truncated && err.errno === ER_QUERY_INTERRUPTED) {
+          finish();
+        } else {
+          reject(err);
+        }
+      });
+
+      stream.on('end', finish);
+    });
+  }
+}
+
+export default new Script();
@@ -0,0 +1,160 @@
+'use babel';
+
+import TreeItem from '../dataModel/tree-item';
+import ItemAction from '../dataModel/item-action';
+import {default as ResultSet, TYPE} from '../dataModel/result-set';
+import {default as sql, raw} from '../helper/sql';
+
+export const SCOPE = {
+  global: 'GLOBAL',
+  session: 'SESSION',
+  status: 'STATUS',
+};
+
+// shown first on the status result, since they are the usual health indicators
+const KEY_COUNTERS = [
+  'Queries', 'Questions', 'Threads_connected', 'Threads_running', 'Connections', 'Aborted_connects',
+  'Slow_queries', 'Bytes_received', 'Bytes_sent', 'Com_select', 'Com_insert', 'Com_update', 'Com_delete',
+  'Innodb_row_lock_waits', 'Created_tmp_disk_tables',
+];
+const NAME = /^[A-Za-z0-9_]+$/;
+const BARE_VALUE = /^(-?\d+(\.\d+)?|ON|OFF|TRUE|FALSE|DEFAULT)$/i;
+
+/**
+ * Server variables (global and session) and global status counters
+ */
+class ServerVariables {
+  /**
+   * @param  {Connection} connection
+   * @param  {string}     scope       SCOPE.global or SCOPE.session
+   * @param  {string}     filter      optional LIKE pattern for the variable names. Without %, names containing the text are listed
+   * @param  {callable}   onDone      receives a ResultSet with name and value of each variable
+   * @param  {Logger}     logger
+   */
+  getVariables(connection, scope, filter, onDone, logger) {
+    let query = sql`SHOW ${raw(scope === SCOPE.global ? 'GLOBAL' : 'SESSION')} VARIABLES${this._like(filter)}`;
+
+    logger.log(query.sql);
+
+    connection.query(query).then((results) => {
+      onDone(new ResultSet({
+        columns: [
+          {name: 'Variable', type: TYPE.text},
+          {name: 'Value', type: TYPE.text},
+        ],
+        data: results.map((record)=>[record.Variable_name, record.Value]),
+      }));
+    }).catch(err=>{
+      onDone(err);
+      return;
+    });
+  }
+
+  /**
+   * Global status with the change of each counter since the previous snapshot
+   * @param  {Connection} connection
+   * @param  {string}     filter      optional LIKE pattern for the counter names
+   * @param  {object}     previous    snapshot given on the previous call ({time, values}) or undefined
+   * @param  {callable}   onDone      receives a ResultSet and the new snapshot
+   * @param  {Logger}     logger
+   */
+  getStatus(connection, filter, previous, onDone, logger) {
+    let query = sql`SHOW GLOBAL STATUS${this._like(filter)}`;
+
+    logger.log(query.sql);
+
+    connection.query(query).then((results) => {
+      let snapshot = {time: Date.now(), values: {}};
+      let seconds = previous ? (snapshot.time - previous.time) / 1000 : 0;
+      let rank = (name)=>KEY_COUNTERS.includes(name) ? KEY_COUNTERS.indexOf(name) : KEY_COUNTERS.length;
+
+      results.forEach((record)=>snapshot.values[record.Variable_name] = record.Value);
+
+      let data = results.slice().sort((a, b)=>rank(a.Variable_name) - rank(b.Variable_name)).map((record)=>{
+        let value = Number(record.Value);
+        let before = previous ? Number(previous.values[record.Variable_name]) : NaN;
+        let delta = record.Value !== '' && !isNaN(value) && !isNaN(before) ? value - before : null;
+
+        return [
+          record.Variable_name,
+          record.Value,
+          delta,
+          delta !== null && seconds > 0 ? Math.round(delta / seconds * 100) / 100 : null,
+        ];
+      });
+
+      onDone(new ResultSet({
+        columns: [
+          {name: 'Variable', type: TYPE.text},
+          {name: 'Value', type: TYPE.text},
+          {name: previous ? `Delta (${Math.round(seconds)}s)` : 'Delta', type: TYPE.number},
+          {name: 'Per second', type: TYPE.number},
+        ],
+        data: data,
+      }), snapshot);
+    }).catch(err=>{
+      onDone(err);
+      return;
+    });
+  }
+
+  /**
+   * @param  {string} name   variable name
+   * @param  {string} value  numbers, ON, OFF, TRUE, FALSE and DEFAULT are kept as they are, anything else is sent as a string
+   * @return {Fragment}      the SET SESSION statement
+   */
+  setStatement(name, value) {
+    if (!NAME.test(name)) {
+      throw new Error(`Invalid variable name: ${name}`);
+    }
+
+    return BARE_VALUE.test(value.trim())
+      ? sql`SET SESSION ${raw(name)} = ${raw(value.trim())}`
+      : sql`SET SESSION ${raw(name)} = ${value}`;
+  }
+
+  _like(filter) {
+    return filter && filter.length > 0 ? sql` LIKE ${filter.includes('%') ? filter : `%${filter}%`}` : raw('');
+  }
+
+  /**
+   * @param  {object} filters  LIKE patterns for each SCOPE, shown on the details
+   * @return {TreeItem[]}      Variables (global and session) and Status nodes
+   */
+  getNodes(filters) {
+    let filterAction = new ItemAction({name:"variables-filter", icon:"icon-filter", description:"Filter by name"});
+    let node = (label, scope, actions)=>new TreeItem({
+      label: label,
+      name: `#variables.${scope}`,
+      icon: scope === SCOPE.status ? 'mariadb-status' : 'mariadb-variable',
+      children: [],
+      details: filters[scope] ? `like ${filters[scope]}` : '',
+      collapsed: true,
+      datasets: {
+        variablesScope: scope,
+      },
+      actions: [filterAction].concat(actions)
+    });
+
+    return [
+      new TreeItem({
+        label: 'Variables',
+        name: '#variables',
+        icon: 'mariadb-variable',
+        children: [
+          node('Global', SCOPE.global, []),
+          node('Session', SCOPE.session, [
+            new ItemAction({name:"set-variable", icon:"icon-set-variable", description:"SET SESSION on the editor connection"}),
+          ]),
+        ],
+        details: '',
+        collapsed: true,
+        datasets: {},
+        actions: []
+      }),
+      node('Status', SCOPE.status, []),
+    ];
+  }
+}
+
+export default new ServerVariables();
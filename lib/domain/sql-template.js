@@ -0,0 +1,144 @@
+'use babel';
+
+import {default as sql, quoteId} from '../helper/sql';
+import {SCHEMA_PLACEHOLDER} from './saved-queries';
+
+export const TEMPLATE = {
+  select: 'SELECT',
+  insert: 'INSERT',
+  update: 'UPDATE',
+  delete: 'DELETE',
+  createLike: 'CREATE TABLE ... LIKE',
+};
+
+/**
+ * Statement templates built from the tree nodes. Values are left as ${name} placeholders,
+ * which are asked on every run once the template is kept as a saved query.
+ */
+class SqlTemplate {
+  /**
+   * @param  {string}   schema
+   * @param  {string}   tableName
+   * @param  {object[]} columns    {name, type, key} in their ordinal position, as given by Table.getColumns
+   * @param  {string}   template   one of TEMPLATE
+   * @param  {string}   only       optional. Column the statement is about (column nodes): the only one selected or updated
+   * @return {string}
+   */
+  forTable(schema, tableName, columns, template, only) {
+    let target = quoteId(schema, tableName);
+    let keys = this._keys(columns);
+    let placeholder = this._placeholders(columns);
+    let chosen = only ? columns.filter((column)=>column.name === only) : columns;
+    let where = (keyColumns)=>keyColumns.map((column)=>`${quoteId(column.name)} = ${placeholder(column)}`).join('\n   AND ');
+    let noKey = keys.length === 0 ? '-- there is no primary key, every column is compared\n' : '';
+
+    if (template === TEMPLATE.select) {
+      let selected = only ? keys.filter((column)=>column.name !== only).concat(chosen) : chosen;
+
+      return `SELECT ${selected.map((column)=>quoteId(column.name)).join(',\n       ')}\n  FROM ${target};\n`;
+    }
+
+    if (template === TEMPLATE.insert) {
+      let values = columns.map((column, index)=>`  ${placeholder(column)}${index < columns.length - 1 ? ',' : ''} -- ${column.type}`);
+
+      return `INSERT INTO ${target} (\n  ${columns.map((column)=>quoteId(column.name)).join(',\n  ')}\n) VALUES (\n${values.join('\n')}\n);\n`;
+    }
+
+    if (template === TEMPLATE.update) {
+      let values = columns.filter((column)=>!keys.includes(column));
+      // a table made only of key columns updates its keys
+      let changed = only ? chosen : (values.length > 0 ? values : keys);
+
+      return `${noKey}UPDATE ${target}\n   SET ${changed.map((column)=>`${quoteId(column.name)} = ${placeholder(column)}`).join(',\n       ')}\n`
+        + ` WHERE ${where(keys.length > 0 ? keys : columns)};\n`;
+    }
+
+    if (template === TEMPLATE.delete) {
+      return `${noKey}DELETE FROM ${target}\n WHERE ${where(keys.length > 0 ? keys : columns)};\n`;
+    }
+
+    return `CREATE TABLE ${quoteId(schema, tableName + '_copy')} LIKE ${target};\n`;
+  }
+
+  /**
+   * @param  {string}   schema
+   * @param  {string}   routineName
+   * @param  {string}   type        FUNCTION or PROCEDURE
+   * @param  {object[]} parameters  {mode, name, type} as given by getParameters
+   * @return {string}               a SELECT for functions, a CALL for procedures. OUT and INOUT arguments are user variables
+   */
+  forRoutine(schema, routineName, type, parameters) {
+    let routine = quoteId(schema, routineName);
+    let placeholder = this._placeholders(parameters);
+
+    if (type === 'FUNCTION') {
+      return `SELECT ${routine}(${parameters.map((parameter)=>placeholder(parameter)).join(', ')});\n`;
+    }
+
+    let variable = (parameter)=>`@${parameter.name.replace(/\W/g, '_')}`;
+    let inputs = parameters.filter((parameter)=>parameter.mode === 'INOUT')
+      .map((parameter)=>`SET ${variable(parameter)} = ${placeholder(parameter)};\n`);
+    let outputs = parameters.filter((parameter)=>parameter.mode !== 'IN');
+    let args = parameters.map((parameter)=>parameter.mode === 'IN' ? placeholder(parameter) : variable(parameter));
+
+    return inputs.join('')
+      + `CALL ${routine}(${args.join(', ')});\n`
+      + (outputs.length > 0 ? `SELECT ${outputs.map(variable).join(', ')};\n` : '');
+  }
+
+  /**
+   * @param  {Connection} connection
+   * @param  {string}     schema
+   * @param  {string}     routineName
+   * @param  {string}     type         FUNCTION or PROCEDURE
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with the parameters as {mode, name, type}, in their position
+   */
+  getParameters(connection, schema, routineName, type, logger) {
+    let query = sql`
+SELECT PARAMETER_MODE, PARAMETER_NAME, DTD_IDENTIFIER
+  FROM INFORMATION_SCHEMA.PARAMETERS
+ WHERE SPECIFIC_SCHEMA = ${schema} AND SPECIFIC_NAME = ${routineName} AND ROUTINE_TYPE = ${type} AND ORDINAL_POSITION > 0
+ORDER BY ORDINAL_POSITION
+`;
+
+    logger.log(query.sql);
+
+    return connection.query(query).then((results)=>results.map((record)=>({
+      mode: record.PARAMETER_MODE || 'IN',
+      name: record.PARAMETER_NAME,
+      type: record.DTD_IDENTIFIER,
+    })));
+  }
+
+  _keys(columns) {
+    return columns.filter((column)=>column.key === 'PRI');
+  }
+
+  /**
+   * Placeholders are named after the columns (or parameters), as names SavedQueries can ask for:
+   * names starting with a digit are prefixed and names that end up the same (a-b and a_b) get a suffix
+   * @param  {object[]} items  columns or parameters
+   * @return {callable}        receives one of the items and returns its ${name} placeholder
+   */
+  _placeholders(items) {
+    let used = new Set([SCHEMA_PLACEHOLDER]);
+    let names = new Map();
+
+    items.forEach((item)=>{
+      let base = item.name.replace(/\W/g, '_').replace(/^(?=\d)/, '_');
+      let name = base;
+
+      for (let suffix = 2; used.has(name); suffix++) {
+        name = `${base}_${suffix}`;
+      }
+
+      used.add(name);
+      names.set(item, name);
+    });
+
+    return (item)=>`\${${names.get(item)}}`;
+  }
+}
+
+export default new SqlTemplate();
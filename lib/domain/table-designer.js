@@ -0,0 +1,453 @@
+'use babel';
+
+import constraint, {CONSTRAINT_TYPE} from './constraint';
+import {default as sql, quoteId} from '../helper/sql';
+
+export const INDEX_KIND = ['PRIMARY', 'UNIQUE', 'INDEX', 'FULLTEXT', 'SPATIAL'];
+export const REFERENCE_RULES = ['RESTRICT', 'CASCADE', 'SET NULL', 'NO ACTION'];
+
+/**
+ * Table designs edited by the table designer, and the CREATE TABLE or ALTER TABLE statements that apply them.
+ *
+ * A design is {name, engine, charset, collation, comment, columns, indexes, foreignKeys} where
+ * columns are {name, original, type, nullable, defaultValue, autoIncrement, comment} (original is the
+ * name of the column on the server, empty for new columns; defaultValue is sql, like 'text', 0 or CURRENT_TIMESTAMP),
+ * indexes are {name, kind, columns} with kind one of INDEX_KIND
+ * and foreign keys are {name, columns, referencedSchema, referencedTable, referencedColumns, onUpdate, onDelete}.
+ */
+class TableDesigner {
+  /**
+   * @param  {Connection} connection
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with {engines, collations} where collations are {name, charset, isDefault}
+   */
+  getOptions(connection, logger) {
+    let engineQuery = sql`SELECT ENGINE FROM INFORMATION_SCHEMA.ENGINES WHERE SUPPORT IN ('YES', 'DEFAULT') ORDER BY ENGINE`;
+    let collationQuery = sql`
+SELECT COLLATION_NAME, CHARACTER_SET_NAME, IS_DEFAULT
+  FROM INFORMATION_SCHEMA.COLLATIONS
+ORDER BY CHARACTER_SET_NAME, COLLATION_NAME
+`;
+
+    logger.log(engineQuery.sql);
+    logger.log(collationQuery.sql);
+
+    return Promise.all([connection.query(engineQuery), connection.query(collationQuery)]).then(([engines, collations])=>({
+      engines: engines.map((record)=>record.ENGINE),
+      collations: collations.map((record)=>({
+        name: record.COLLATION_NAME,
+        charset: record.CHARACTER_SET_NAME,
+        isDefault: record.IS_DEFAULT === 'Yes',
+      })),
+    }));
+  }
+
+  /**
+   * @return {object} the design of a new table: an auto-increment id as primary key
+   */
+  newDesign() {
+    return {
+      name: '',
+      engine: '',
+      charset: '',
+      collation: '',
+      comment: '',
+      columns: [
+        {name: 'id', original: '', type: 'INT UNSIGNED', nullable: false, defaultValue: '', autoIncrement: true, comment: ''},
+      ],
+      indexes: [
+        {name: 'PRIMARY', kind: 'PRIMARY', columns: ['id']},
+      ],
+      foreignKeys: [],
+    };
+  }
+
+  /**
+   * Loads the design of an existing table. Parts the designer doesn't edit (column collations, generated
+   * columns, ON UPDATE clauses) are kept on the columns, so they are written back untouched.
+   * @param  {Connection} connection
+   * @param  {string}     schema
+   * @param  {string}     tableName
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with the design
+   */
+  load(connection, schema, tableName, logger) {
+    let tableQuery = sql`
+SELECT T.ENGINE, T.TABLE_COLLATION, C.CHARACTER_SET_NAME, T.TABLE_COMMENT
+  FROM INFORMATION_SCHEMA.TABLES T
+LEFT JOIN INFORMATION_SCHEMA.COLLATIONS C ON C.COLLATION_NAME = T.TABLE_COLLATION
+ WHERE T.TABLE_SCHEMA = ${schema} AND T.TABLE_NAME = ${tableName}
+`;
+    let columnQuery = sql`
+SELECT COLUMN_NAME, COLUMN_TYPE, COLLATION_NAME, IS_NULLABLE, COLUMN_DEFAULT, EXTRA, COLUMN_COMMENT, GENERATION_EXPRESSION
+  FROM INFORMATION_SCHEMA.COLUMNS
+ WHERE TABLE_SCHEMA = ${schema} AND TABLE_NAME = ${tableName}
+ORDER BY ORDINAL_POSITION
+`;
+
+    logger.log(tableQuery.sql);
+    logger.log(columnQuery.sql);
+
+    return Promise.all([
+      connection.query(tableQuery),
+      connection.query(columnQuery),
+      constraint.getAll(connection, schema, tableName, logger),
+    ]).then(([tables, columns, constraints])=>{
+      if (tables.length === 0) {
+        throw new Error(`${schema}.${tableName} doesn't exist anymore`);
+      }
+
+      let table = tables[0];
+
+      return {
+        name: tableName,
+        engine: table.ENGINE || '',
+        charset: table.CHARACTER_SET_NAME || '',
+        collation: table.TABLE_COLLATION || '',
+        comment: table.TABLE_COMMENT || '',
+        columns: columns.map((record)=>this._column(record, table.TABLE_COLLATION)),
+        indexes: (constraints.indexes[tableName] || []).map((index)=>({
+          name: index.name,
+          kind: index.name === 'PRIMARY' ? 'PRIMARY' : (
+            index.type === 'FULLTEXT' || index.type === 'SPATIAL' ? index.type : (index.unique ? 'UNIQUE' : 'INDEX')
+          ),
+          columns: index.columns,
+        })),
+        foreignKeys: (constraints.foreignKeys[tableName] || []).map((foreignKey)=>({
+          name: foreignKey.name,
+          columns: foreignKey.columns,
+          referencedSchema: foreignKey.referencedSchema,
+          referencedTable: foreignKey.referencedTable,
+          referencedColumns: foreignKey.referencedColumns,
+          onUpdate: foreignKey.onUpdate,
+          onDelete: foreignKey.onDelete,
+        })),
+      };
+    });
+  }
+
+  _column(record, tableCollation) {
+    let extra = (record.EXTRA || '').replace(/auto_increment|DEFAULT_GENERATED/ig, '');
+    let nullable = record.IS_NULLABLE === 'YES';
+    let column = {
+      name: record.COLUMN_NAME,
+      original: record.COLUMN_NAME,
+      type: record.COLUMN_TYPE,
+      nullable: nullable,
+      // COLUMN_DEFAULT is NULL when there is no default, and 'NULL' for nullable columns without one (MariaDB 10.2.7+)
+      defaultValue: record.COLUMN_DEFAULT === null || (nullable && record.COLUMN_DEFAULT === 'NULL') ? '' : record.COLUMN_DEFAULT,
+      autoIncrement: /auto_increment/i.test(record.EXTRA || ''),
+      comment: record.COLUMN_COMMENT || '',
+    };
+
+    if (record.COLLATION_NAME && record.COLLATION_NAME !== tableCollation) {
+      column.collation = record.COLLATION_NAME;
+    }
+
+    if (record.GENERATION_EXPRESSION) {
+      column.generated = {expression: record.GENERATION_EXPRESSION, stored: /STORED|PERSISTENT/i.test(extra)};
+      extra = extra.replace(/(VIRTUAL|STORED|PERSISTENT)\s+GENERATED/ig, '');
+    }
+
+    if (extra.trim().length > 0) {
+      column.extra = extra.trim().replace(/\s+/g, ' ');
+    }
+
+    return column;
+  }
+
+  /**
+   * @param  {object} design
+   * @throws {Error}  when the design can't be turned into a table
+   */
+  validate(design) {
+    let names = design.columns.map((column)=>column.name);
+    let known = (name)=>names.includes(name.replace(/\(\d+\)$/, ''));
+
+    if (design.name.length === 0) {
+      throw new Error('The table needs a name');
+    }
+
+    if (design.columns.length === 0) {
+      throw new Error('The table needs at least one column');
+    }
+
+    design.columns.forEach((column, index)=>{
+      if (column.name.length === 0 || column.type.length === 0) {
+        throw new Error(`Column ${index + 1} needs a name and a type`);
+      }
+
+      if (names.indexOf(column.name) !== index) {
+        throw new Error(`There are two columns named ${column.name}`);
+      }
+    });
+
+    design.indexes.forEach((index)=>{
+      let unknown = index.columns.filter((column)=>!known(column));
+
+      if (index.kind !== 'PRIMARY' && index.name.length === 0) {
+        throw new Error('Every index needs a name');
+      }
+
+      // the server keeps this name for the primary key
+      if (index.kind !== 'PRIMARY' && index.name.toUpperCase() === 'PRIMARY') {
+        throw new Error(`Only the primary key can be named ${index.name}`);
+      }
+
+      if (index.columns.length === 0 || unknown.length > 0) {
+        throw new Error(`Index ${index.name || index.kind} has unknown columns: ${unknown.join(', ') || '(none)'}`);
+      }
+    });
+
+    if (design.indexes.filter((index)=>index.kind === 'PRIMARY').length > 1) {
+      throw new Error('A table has only one primary key');
+    }
+
+    design.foreignKeys.forEach((foreignKey)=>{
+      if (foreignKey.name.length === 0 || foreignKey.referencedTable.length === 0) {
+        throw new Error('Every foreign key needs a name and a referenced table');
+      }
+
+      if (foreignKey.columns.length === 0 || foreignKey.columns.some((column)=>!known(column))
+        || foreignKey.columns.length !== foreignKey.referencedColumns.length) {
+        throw new Error(`Foreign key ${foreignKey.name} needs known columns, as many as the referenced ones`);
+      }
+    });
+  }
+
+  /**
+   * @param  {string} schema
+   * @param  {object} design
+   * @return {string} the CREATE TABLE statement
+   */
+  createStatement(schema, design) {
+    let definitions = design.columns.map((column)=>`${quoteId(column.name)} ${this._columnDefinition(column)}`).concat(
+      design.indexes.map((index)=>this._indexDefinition(index).replace(/^ADD /, '')),
+      design.foreignKeys.map((foreignKey)=>this._foreignKeyDefinition(foreignKey).replace(/^ADD /, ''))
+    );
+    let options = this._tableOptions(design, {});
+
+    return `CREATE TABLE ${quoteId(schema, design.name)} (\n  ${definitions.join(',\n  ')}\n)${options.length > 0 ? ' ' + options.join(' ') : ''}`;
+  }
+
+  /**
+   * Compares a design with the one loaded from the server and writes only what changed.
+   * Foreign keys are dropped on a statement of their own, since a key can't be dropped and added
+   * again with the same name (or lose its columns) on a single ALTER TABLE.
+   * @param  {string}   schema
+   * @param  {object}   original  design of the table on the server, as given by load
+   * @param  {object}   design    the edited design
+   * @return {string[]} ALTER TABLE statements, empty when nothing changed
+   */
+  alterStatements(schema, original, design) {
+    let renamed = {};
+    let kept = design.columns.filter((column)=>column.original);
+
+    kept.forEach((column)=>{
+      if (column.original !== column.name) {
+        renamed[column.original] = column.name;
+      }
+    });
+
+    // index and foreign key columns of the original design, with the renamed columns already on their new name
+    let rename = (columns)=>columns.map((column)=>{
+      let prefix = column.match(/^(.*)(\(\d+\))$/);
+      let name = prefix ? prefix[1] : column;
+
+      return (renamed[name] || name) + (prefix ? prefix[2] : '');
+    });
+    let same = (a, b)=>JSON.stringify(a) === JSON.stringify(b);
+    let byName = (list, name)=>list.find((item)=>item.name === name);
+
+    let originalForeignKeys = original.foreignKeys.map((foreignKey)=>Object.assign({}, foreignKey, {columns: rename(foreignKey.columns)}));
+    let originalIndexes = original.indexes.map((index)=>Object.assign({}, index, {columns: rename(index.columns)}));
+    let droppedForeignKeys = originalForeignKeys.filter((foreignKey)=>!same(foreignKey, byName(design.foreignKeys, foreignKey.name)));
+    let addedForeignKeys = design.foreignKeys.filter((foreignKey)=>!same(foreignKey, byName(originalForeignKeys, foreignKey.name)));
+    let droppedIndexes = originalIndexes.filter((index)=>!same(index, byName(design.indexes, index.name)));
+    let addedIndexes = design.indexes.filter((index)=>!same(index, byName(originalIndexes, index.name)));
+
+    let specifications = [];
+
+    droppedIndexes.forEach((index)=>specifications.push(this._dropIndexDefinition(index)));
+
+    original.columns.filter((column)=>!kept.some((item)=>item.original === column.name)).forEach((column)=>{
+      specifications.push(`DROP COLUMN ${quoteId(column.name)}`);
+    });
+
+    // a column is moved when the column before it is not the one it had on the server
+    let originalOrder = original.columns.map((column)=>column.name).filter((name)=>kept.some((column)=>column.original === name));
+    let originalColumns = {};
+
+    original.columns.forEach((column)=>originalColumns[column.name] = this._columnDefinition(column));
+
+    design.columns.forEach((column, index)=>{
+      let previous = index > 0 ? design.columns[index - 1] : undefined;
+      let position = previous ? `AFTER ${quoteId(previous.name)}` : 'FIRST';
+      let definition = this._columnDefinition(column);
+
+      if (!column.original) {
+        specifications.push(`ADD COLUMN ${quoteId(column.name)} ${definition} ${position}`);
+        return;
+      }
+
+      let originalIndex = originalOrder.indexOf(column.original);
+      let moved = (previous ? previous.original : undefined) !== (originalIndex > 0 ? originalOrder[originalIndex - 1] : undefined);
+
+      if (column.original !== column.name) {
+        specifications.push(`CHANGE COLUMN ${quoteId(column.original)} ${quoteId(column.name)} ${definition}${moved ? ' ' + position : ''}`);
+      } else if (moved || definition !== originalColumns[column.original]) {
+        specifications.push(`MODIFY COLUMN ${quoteId(column.name)} ${definition}${moved ? ' ' + position : ''}`);
+      }
+    });
+
+    addedIndexes.forEach((index)=>specifications.push(this._indexDefinition(index)));
+    addedForeignKeys.forEach((foreignKey)=>specifications.push(this._foreignKeyDefinition(foreignKey)));
+    specifications.push(...this._tableOptions(design, original));
+
+    if (design.name !== original.name) {
+      specifications.push(`RENAME TO ${quoteId(schema, design.name)}`);
+    }
+
+    let target = quoteId(schema, original.name);
+    let statements = [];
+
+    if (droppedForeignKeys.length > 0) {
+      statements.push(`ALTER TABLE ${target}\n  ${droppedForeignKeys.map((foreignKey)=>`DROP FOREIGN KEY ${quoteId(foreignKey.name)}`).join(',\n  ')}`);
+    }
+
+    if (specifications.length > 0) {
+      statements.push(`ALTER TABLE ${target}\n  ${specifications.join(',\n  ')}`);
+    }
+
+    return statements;
+  }
+
+  /**
+   * @param  {object} design
+   * @param  {string} column   current column name
+   * @param  {string} newName
+   * @return {object} a copy of the design with the column renamed, on its indexes and foreign keys too
+   */
+  renameColumn(design, column, newName) {
+    // index columns may have a prefix length, like name(10)
+    let rename = (columns)=>columns.map((name)=>name === column || (name.startsWith(column) && /^\(\d+\)$/.test(name.slice(column.length)))
+      ? newName + name.slice(column.length)
+      : name
+    );
+
+    return Object.assign({}, design, {
+      columns: design.columns.map((item)=>item.name === column ? Object.assign({}, item, {name: newName}) : item),
+      indexes: design.indexes.map((index)=>Object.assign({}, index, {columns: rename(index.columns)})),
+      foreignKeys: design.foreignKeys.map((foreignKey)=>Object.assign({}, foreignKey, {columns: rename(foreignKey.columns)})),
+    });
+  }
+
+  /**
+   * Renaming a column keeps its whole definition, so it is written as a change of the loaded design
+   * @param  {string} schema
+   * @param  {object} original  design of the table on the server, as given by load
+   * @param  {string} column    current column name
+   * @param  {string} newName
+   * @return {string} the ALTER TABLE statement
+   */
+  renameColumnStatement(schema, original, column, newName) {
+    return this.alterStatements(schema, original, this.renameColumn(original, column, newName)).join(';\n');
+  }
+
+  /**
+   * @param  {string} schema
+   * @param  {string} tableName
+   * @param  {string} column
+   * @return {string} the ALTER TABLE statement. Indexes lose the column, and are dropped when it was their only one
+   */
+  dropColumnStatement(schema, tableName, column) {
+    return `ALTER TABLE ${quoteId(schema, tableName)} DROP COLUMN ${quoteId(column)}`;
+  }
+
+  _columnDefinition(column) {
+    let parts = [column.type];
+
+    if (column.collation) {
+      parts.push(`COLLATE ${column.collation}`);
+    }
+
+    if (column.generated) {
+      parts.push(`GENERATED ALWAYS AS (${column.generated.expression}) ${column.generated.stored ? 'PERSISTENT' : 'VIRTUAL'}`);
+    } else {
+      parts.push(column.nullable ? 'NULL' : 'NOT NULL');
+
+      if (column.defaultValue.length > 0) {
+        parts.push(`DEFAULT ${column.defaultValue}`);
+      }
+
+      if (column.autoIncrement) {
+        parts.push('AUTO_INCREMENT');
+      }
+    }
+
+    if (column.extra) {
+      parts.push(column.extra);
+    }
+
+    if (column.comment.length > 0) {
+      parts.push(`COMMENT ${this._literal(column.comment)}`);
+    }
+
+    return parts.join(' ');
+  }
+
+  _indexDefinition(index) {
+    return constraint.getDefinition(CONSTRAINT_TYPE.index, {
+      name: index.name,
+      unique: index.kind === 'UNIQUE',
+      type: index.kind === 'FULLTEXT' || index.kind === 'SPATIAL' ? index.kind : 'BTREE',
+      columns: index.columns,
+    });
+  }
+
+  _dropIndexDefinition(index) {
+    return constraint.getDropDefinition(CONSTRAINT_TYPE.index, index);
+  }
+
+  // the referenced table is written with its schema: the session default schema may be another one
+  _foreignKeyDefinition(foreignKey) {
+    let columns = (list)=>list.map((column)=>quoteId(column)).join(', ');
+
+    return `ADD CONSTRAINT ${quoteId(foreignKey.name)} FOREIGN KEY (${columns(foreignKey.columns)}) `
+      + `REFERENCES ${quoteId(foreignKey.referencedSchema, foreignKey.referencedTable)} (${columns(foreignKey.referencedColumns)}) `
+      + `ON UPDATE ${foreignKey.onUpdate} ON DELETE ${foreignKey.onDelete}`;
+  }
+
+  /**
+   * @param  {object}   design
+   * @param  {object}   original  the design on the server, or {} for new tables
+   * @return {string[]} the table options that changed
+   */
+  _tableOptions(design, original) {
+    let options = [];
+
+    if (design.engine && design.engine !== original.engine) {
+      options.push(`ENGINE=${design.engine}`);
+    }
+
+    if (design.charset && design.charset !== original.charset) {
+      options.push(`DEFAULT CHARSET=${design.charset}`);
+    }
+
+    if (design.collation && design.collation !== original.collation) {
+      options.push(`COLLATE=${design.collation}`);
+    }
+
+    if (design.comment !== (original.comment || '')) {
+      options.push(`COMMENT=${this._literal(design.comment)}`);
+    }
+
+    return options;
+  }
+
+  _literal(text) {
+    return "'" + String(text).replace(/\\/g, '\\\\').replace(/'/g, "''") + "'";
+  }
+}
+
+export default new TableDesigner();
@@ -3,9 +3,12 @@
 import TreeItem from '../dataModel/tree-item';
 import ItemAction from '../dataModel/item-action';
 import trigger from './trigger';
-import fieldType from './field-type';
+import constraint from './constraint';
 import {default as ResultSet} from '../dataModel/result-set';
+import toResultSet from '../helper/to-result-set';
+import {castValue} from './field-type';
 import SqlPrettier from 'sql-prettier';
+import {default as sql, id, raw} from '../helper/sql';
 
 export class Table {
   get structType() {
@@ -13,48 +16,65 @@ export class Table {
   }
 
   getTables(connection, database, onDone, logger, tableName) {
-    let specificTable = tableName ? ` AND T.TABLE_NAME = '${tableName}'` : '';
-    let query = `
+    let specificTable = tableName ? sql` AND T.TABLE_NAME = ${tableName}` : raw('');
+    let query = sql`
 SELECT T.TABLE_TYPE, T.TABLE_SCHEMA, GROUP_CONCAT(DISTINCT TG.TRIGGER_NAME) as TABLE_TRIGGERS, C.TABLE_NAME, C.COLUMN_NAME, C.ORDINAL_POSITION, C.DATA_TYPE, C.COLUMN_TYPE, C.COLUMN_KEY, C.COLUMN_COMMENT
   FROM INFORMATION_SCHEMA.COLUMNS C
-LEFT JOIN INFORMATION_SCHEMA.TABLES T ON T.TABLE_NAME = C.TABLE_NAME
-LEFT JOIN INFORMATION_SCHEMA.TRIGGERS TG ON TG.EVENT_OBJECT_TABLE = C.TABLE_NAME
- WHERE C.TABLE_SCHEMA = '${database}' AND TABLE_TYPE <> 'VIEW' ${specificTable}
+LEFT JOIN INFORMATION_SCHEMA.TABLES T ON T.TABLE_SCHEMA = C.TABLE_SCHEMA AND T.TABLE_NAME = C.TABLE_NAME
+LEFT JOIN INFORMATION_SCHEMA.TRIGGERS TG ON TG.EVENT_OBJECT_SCHEMA = C.TABLE_SCHEMA AND TG.EVENT_OBJECT_TABLE = C.TABLE_NAME
+ WHERE C.TABLE_SCHEMA = ${database} AND TABLE_TYPE <> 'VIEW' ${specificTable}
 GROUP BY T.TABLE_TYPE, T.TABLE_SCHEMA, C.TABLE_NAME, C.COLUMN_NAME, C.ORDINAL_POSITION, C.DATA_TYPE, C.COLUMN_TYPE, C.COLUMN_KEY, C.COLUMN_COMMENT
 ORDER BY C.TABLE_SCHEMA, C.TABLE_NAME, FIELD(C.COLUMN_KEY, 'PRI', 'UNI', 'MUL', '') ASC, C.ORDINAL_POSITION
 `;
 
-    logger.log(query);
+    logger.log(query.sql);
 
-    connection.query(query).then((results) => {
+    Promise.all([
+      connection.query(query),
+      constraint.getAll(connection, database, tableName, logger),
+    ]).then(([results, constraints]) => {
       let tables = [];
       let table = {label:undefined};
       let tableTriggers = [];
 
+      let closeTable = ()=>{
+        let schema = table.datasets.singleSchema;
+        let name = table.datasets.singleName;
+
+        if (tableTriggers.length > 0) {
+          table.children.push(
+            new TreeItem({
+              label: 'Triggers',
+              name: schema + "." + name + ".triggers",
+              icon: 'mariadb-trigger',
+              children: trigger.treeItemFromTriggerNames(tableTriggers, name, schema),
+              details: tableTriggers.length,
+              collapsed: true,
+              datasets: {
+                triggers: schema + "." + name,
+              },
+              actions: []
+            })
+          );
+        }
+
+        table.children.push(...constraint.getNodes(schema, name, {
+          indexes: constraints.indexes[name],
+          foreignKeys: constraints.foreignKeys[name],
+          checks: constraints.checks[name],
+        }));
+
+        tables.push(table);
+      };
+
       results.forEach((record)=>{
         if (table.label !== record.TABLE_NAME) {
           if (table.name) {
-            if (tableTriggers.length > 0) {
-              table.children.push(
-                new TreeItem({
-                  label: 'Triggers',
-                  name: record.TABLE_SCHEMA + "." + table.name,
-                  icon: 'mariadb-trigger',
-                  children: trigger.treeItemFromTriggerNames(tableTriggers, table.datasets.singleName, record.TABLE_SCHEMA),
-                  details: tableTriggers.length,
-                  collapsed: true,
-                  datasets: {
-                    triggers: record.TABLE_SCHEMA + "." + table.name,
-                  },
-                  actions: []
-                })
-              );
-            }
-
-            tables.push(table);
-            tableTriggers = record.TABLE_TRIGGERS ? record.TABLE_TRIGGERS.split(',') : [];
+            closeTable();
           }
 
+          tableTriggers = record.TABLE_TRIGGERS ? record.TABLE_TRIGGERS.split(',') : [];
+
           table = new TreeItem({
             label: record.TABLE_NAME,
             name: record.TABLE_SCHEMA + "." + record.TABLE_NAME,
@@ -69,29 +89,42 @@ ORDER BY C.TABLE_SCHEMA, C.TABLE_NAME, FIELD(C.COLUMN_KEY, 'PRI', 'UNI', 'MUL',
             },
             actions: [
               new ItemAction({name:"structure", icon:"icon-struct", description:"Show structure"}),
+              new ItemAction({name:"browse-previous", icon:"icon-previous-page", description:"Previous page"}),
+              new ItemAction({name:"browse-next", icon:"icon-next-page", description:"Next page"}),
+              new ItemAction({name:"browse-options", icon:"icon-browse-options", description:"Page size, order and filter"}),
+              new ItemAction({name:"edit-rows", icon:"icon-edit-rows", description:"Edit the rows of the current page"}),
+              new ItemAction({name:"dump", icon:"icon-export", description:"Export to .sql file"}),
+              new ItemAction({name:"sql-template", icon:"icon-template", description:"Generate SQL"}),
+              new ItemAction({name:"design-table", icon:"icon-design", description:"Design table"}),
               // new ItemAction({name:"refresh", icon:"icon-refresh", description:"Refresh element"}),
             ]
           });
         }
 
+        let foreignKeyColumns = (constraints.foreignKeys[record.TABLE_NAME] || []).reduce((columns, fk)=>columns.concat(fk.columns), []);
+
         table.children.push(new TreeItem({
           label: record.COLUMN_NAME,
           name: record.TABLE_SCHEMA + "." + record.TABLE_NAME + "." + record.COLUMN_NAME,
-          icon: record.COLUMN_KEY === "PRI" ? "icon-pk" : (record.COLUMN_KEY === "MUL" ? "icon-fk" : (record.COLUMN_KEY === "UNI" ? "icon-uk" : "icon-field")),
+          icon: this.columnIcon(record.COLUMN_KEY, foreignKeyColumns.indexOf(record.COLUMN_NAME) >= 0),
           details: record.COLUMN_TYPE,
           collapsed: true,
           datasets: {
-            field: record.TABLE_SCHEMA + "." + record.TABLE_NAME + "." + record.COLUMN_NAME
+            field: record.TABLE_SCHEMA + "." + record.TABLE_NAME + "." + record.COLUMN_NAME,
+            fieldSchema: record.TABLE_SCHEMA,
+            fieldTable: record.TABLE_NAME,
+            fieldName: record.COLUMN_NAME,
           },
           actions: [
-            // new ItemAction({name:"edit", icon:"icon-edit"}),
-            // new ItemAction({name:"delete", icon:"icon-delete"}),
+            new ItemAction({name:"sql-template", icon:"icon-template", description:"Generate SQL"}),
+            new ItemAction({name:"rename-column", icon:"icon-rename", description:"Rename column"}),
+            new ItemAction({name:"drop-column", icon:"icon-drop", description:"Drop column"}),
           ]
         }));
       });
 
       if (table.name) {
-        tables.push(table);
+        closeTable();
       }
 
       onDone(tables);
@@ -101,42 +134,109 @@ ORDER BY C.TABLE_SCHEMA, C.TABLE_NAME, FIELD(C.COLUMN_KEY, 'PRI', 'UNI', 'MUL',
     });
   }
 
-  getContent(connection, table, onDone, logger) {
-    let query = `
+  /**
+   * @param  {string}  columnKey     COLUMN_KEY from INFORMATION_SCHEMA.COLUMNS
+   * @param  {boolean} isForeignKey  the column is part of a foreign key
+   * @return {string}                icon class for the column
+   */
+  columnIcon(columnKey, isForeignKey) {
+    if (columnKey === "PRI") {
+      return "icon-pk";
+    } else if (isForeignKey) {
+      return "icon-fk";
+    } else if (columnKey === "UNI") {
+      return "icon-uk";
+    }
+
+    return "icon-field";
+  }
+
+  /**
+   * Shows a page of the table content
+   * @param  {Connection}  connection
+   * @param  {string}      schema
+   * @param  {string}      tableName
+   * @param  {BrowseState} browse      page size, offset, order and filter to be used. total is updated with the counted rows
+   * @param  {callable}    onDone
+   * @param  {Logger}      logger
+   */
+  getContent(connection, schema, tableName, browse, onDone, logger) {
+    let where = browse.where && browse.where.trim().length > 0 ? sql`
+ WHERE ${raw(browse.where)}` : raw('');
+    let orderBy = browse.orderBy ? sql`
+ ORDER BY ${id(browse.orderBy)} ${raw(browse.direction === 'DESC' ? 'DESC' : 'ASC')}` : raw('');
+    let query = sql`
 SELECT *
-  FROM ${table}
- LIMIT 100
+  FROM ${id(schema, tableName)}${where}${orderBy}
+ LIMIT ${raw(String(browse.pageSize))} OFFSET ${raw(String(browse.offset))}
 `;
+    // views have no TABLE_ROWS statistics, so they are always counted
+    let estimated = browse.countMode === 'estimated' && where.sql.length === 0 && this.structType === 'Table';
+    let countQuery = estimated
+      ? sql`SELECT TABLE_ROWS AS total FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ${schema} AND TABLE_NAME = ${tableName}`
+      : sql`SELECT COUNT(*) AS total FROM ${id(schema, tableName)}${where}`;
 
-    logger.log(query);
+    logger.log(countQuery.sql);
+    logger.log(query.sql);
 
-    connection.query(query).then((results) => {
-      let fieldNames = Object.keys(results[0]);
-      let fields = results.meta.map((f, i)=>Object.assign(f, {title: fieldNames[i]}));
-
-      let resultSet = new ResultSet({
-        columns: fields.map((f)=>{
-          return {
-            name: f.title,
-            type: fieldType(f.columnType)
-          };
-        }),
-        data: results.map((r)=>Object.values(r)),
-        query: query,
-        grammar: 'source.sql',
-      });
+    // both queries are sent at once, the connection is released right after the command starts
+    Promise.all([connection.query(countQuery), connection.query(Object.assign({typeCast: castValue}, query))]).then(([count, results]) => {
+      let total = count.length > 0 && count[0].total !== null ? Number(count[0].total) : undefined;
+      let first = results.length > 0 ? browse.offset + 1 : browse.offset;
+      let last = browse.offset + results.length;
+      let totalText = total === undefined ? 'unknown' : (estimated ? `~${total} (estimated)` : total);
+
+      browse.total = total;
+      browse.exact = !estimated;
+      browse.pageRows = results.length;
 
-      onDone(resultSet);
+      onDone(toResultSet(results, `-- rows ${first} to ${last} of ${totalText}${query.sql}`));
     }).catch(err=>{
       onDone(err);
       return;
     });
   }
 
-  getDataStructure(structureName, connection, onDone, logger) {
-    let query = `SHOW CREATE ${this.structType} ${structureName}`;
+  /**
+   * @param  {Pool}    pool
+   * @param  {string}  schema
+   * @param  {string}  tableName
+   * @return {Promise} resolves with the column names in their ordinal position
+   */
+  getColumnNames(pool, schema, tableName) {
+    return pool.query(
+      sql`SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ${schema} AND TABLE_NAME = ${tableName} ORDER BY ORDINAL_POSITION`
+    ).then((results)=>results.map((record)=>record.COLUMN_NAME));
+  }
+
+  /**
+   * @param  {Connection} connection
+   * @param  {string}     schema
+   * @param  {string}     tableName
+   * @param  {Logger}     logger
+   * @return {Promise}    resolves with the columns as {name, type, key} in their ordinal position
+   */
+  getColumns(connection, schema, tableName, logger) {
+    let query = sql`
+SELECT COLUMN_NAME, COLUMN_TYPE, COLUMN_KEY
+  FROM INFORMATION_SCHEMA.COLUMNS
+ WHERE TABLE_SCHEMA = ${schema} AND TABLE_NAME = ${tableName}
+ORDER BY ORDINAL_POSITION
+`;
+
+    logger.log(query.sql);
+
+    return connection.query(query).then((results)=>results.map((record)=>({
+      name: record.COLUMN_NAME,
+      type: record.COLUMN_TYPE,
+      key: record.COLUMN_KEY,
+    })));
+  }
+
+  getDataStructure(schema, structureName, connection, onDone, logger) {
+    let query = sql`SHOW CREATE ${raw(this.structType)} ${id(schema, structureName)}`;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       onDone(
@@ -166,7 +266,9 @@ SELECT *
       datasets: {
         tables: databaseName,
       },
-      actions: []
+      actions: [
+        new ItemAction({name:"design-table", icon:"icon-create-table", description:"Create table"}),
+      ]
     });
   }
 }
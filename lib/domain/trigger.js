@@ -5,6 +5,7 @@ import ItemAction from '../dataModel/item-action';
 import {default as ResultSet, TYPE} from '../dataModel/result-set';
 import pascalCase from '../helper/pascal-case';
 import SqlPrettier from 'sql-prettier';
+import {default as sql, id} from '../helper/sql';
 
 class Trigger {
   treeItemFromTriggerNames(triggerNames, tableName, schema) {
@@ -33,15 +34,15 @@ class Trigger {
   }
 
   getContent(connection, triggerName, triggerSchema, triggerTable, onDone, logger) {
-    let query = `
+    let query = sql`
 SELECT *
   FROM INFORMATION_SCHEMA.TRIGGERS
- WHERE TRIGGER_NAME='${triggerName}'
-   AND TRIGGER_SCHEMA='${triggerSchema}'
-   AND EVENT_OBJECT_TABLE = '${triggerTable}'
+ WHERE TRIGGER_NAME=${triggerName}
+   AND TRIGGER_SCHEMA=${triggerSchema}
+   AND EVENT_OBJECT_TABLE = ${triggerTable}
 `;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       let resultSet = new ResultSet({
@@ -63,10 +64,10 @@ SELECT *
     });
   }
 
-  getStructure(triggerName, connection, onDone, logger) {
-    let query = `SHOW CREATE TRIGGER ${triggerName}`;
+  getStructure(triggerSchema, triggerName, connection, onDone, logger) {
+    let query = sql`SHOW CREATE TRIGGER ${id(triggerSchema, triggerName)}`;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       onDone(
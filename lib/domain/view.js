@@ -3,6 +3,7 @@
 import TreeItem from '../dataModel/tree-item';
 import ItemAction from '../dataModel/item-action';
 import {Table as TableClass} from './table';
+import {default as sql, raw} from '../helper/sql';
 
 class View extends TableClass {
   get structType() {
@@ -10,16 +11,16 @@ class View extends TableClass {
   }
 
   getViews(connection, database, onDone, logger, viewName) {
-    let specificView = viewName ? ` AND T.TABLE_NAME = '${viewName}'` : '';
-    let query = `
+    let specificView = viewName ? sql` AND T.TABLE_NAME = ${viewName}` : raw('');
+    let query = sql`
 SELECT T.TABLE_TYPE, T.TABLE_SCHEMA, C.TABLE_NAME, C.COLUMN_NAME, C.ORDINAL_POSITION, C.DATA_TYPE, C.COLUMN_TYPE, C.COLUMN_KEY, C.COLUMN_COMMENT
   FROM INFORMATION_SCHEMA.COLUMNS C
-LEFT JOIN INFORMATION_SCHEMA.TABLES T ON T.TABLE_NAME = C.TABLE_NAME
- WHERE C.TABLE_SCHEMA = '${database}' AND TABLE_TYPE = 'VIEW' ${specificView}
+LEFT JOIN INFORMATION_SCHEMA.TABLES T ON T.TABLE_SCHEMA = C.TABLE_SCHEMA AND T.TABLE_NAME = C.TABLE_NAME
+ WHERE C.TABLE_SCHEMA = ${database} AND TABLE_TYPE = 'VIEW' ${specificView}
 ORDER BY C.TABLE_SCHEMA, C.TABLE_NAME, FIELD(C.COLUMN_KEY, 'PRI', 'UNI', 'MUL', '') ASC, C.ORDINAL_POSITION
 `;
 
-    logger.log(query);
+    logger.log(query.sql);
 
     connection.query(query).then((results) => {
       let views = [];
@@ -45,6 +46,10 @@ ORDER BY C.TABLE_SCHEMA, C.TABLE_NAME, FIELD(C.COLUMN_KEY, 'PRI', 'UNI', 'MUL',
             },
             actions: [
               new ItemAction({name:"structure", icon:"icon-struct", description:"Show structure"}),
+              new ItemAction({name:"browse-previous", icon:"icon-previous-page", description:"Previous page"}),
+              new ItemAction({name:"browse-next", icon:"icon-next-page", description:"Next page"}),
+              new ItemAction({name:"browse-options", icon:"icon-browse-options", description:"Page size, order and filter"}),
+              new ItemAction({name:"sql-template", icon:"icon-template", description:"Generate SQL"}),
             ]
           });
         }
@@ -52,13 +57,19 @@ ORDER BY C.TABLE_SCHEMA, C.TABLE_NAME, FIELD(C.COLUMN_KEY, 'PRI', 'UNI', 'MUL',
         view.children.push(new TreeItem({
           label: record.COLUMN_NAME,
           name: record.TABLE_SCHEMA + "." + record.TABLE_NAME + "." + record.COLUMN_NAME,
-          icon: record.COLUMN_KEY === "PRI" ? "icon-pk" : (record.COLUMN_KEY === "MUL" ? "icon-fk" : (record.COLUMN_KEY === "UNI" ? "icon-uk" : "icon-field")),
+          icon: this.columnIcon(record.COLUMN_KEY, false),
           details: record.COLUMN_TYPE,
           collapsed: true,
           datasets: {
-            field: record.TABLE_SCHEMA + "." + record.TABLE_NAME + "." + record.COLUMN_NAME
+            field: record.TABLE_SCHEMA + "." + record.TABLE_NAME + "." + record.COLUMN_NAME,
+            fieldSchema: record.TABLE_SCHEMA,
+            fieldTable: record.TABLE_NAME,
+            fieldName: record.COLUMN_NAME,
+            fieldOfView: true,
           },
-          actions: []
+          actions: [
+            new ItemAction({name:"sql-template", icon:"icon-template", description:"Generate SQL"}),
+          ]
         }));
       });
 
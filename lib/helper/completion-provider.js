@@ -0,0 +1,280 @@
+'use babel';
+
+const KEYWORDS = [
+  'ADD', 'ALL', 'ALTER', 'ANALYZE', 'AND', 'AS', 'ASC', 'AUTO_INCREMENT', 'BEGIN', 'BETWEEN', 'BY', 'CALL', 'CASCADE',
+  'CASE', 'CHANGE', 'CHARACTER SET', 'CHECK', 'COLLATE', 'COLUMN', 'COMMENT', 'COMMIT', 'CONSTRAINT', 'CREATE', 'CROSS JOIN',
+  'DATABASE', 'DEFAULT', 'DELETE', 'DELIMITER', 'DESC', 'DESCRIBE', 'DISTINCT', 'DO', 'DROP', 'DUPLICATE', 'ELSE', 'END',
+  'ENGINE', 'ESCAPE', 'EVENT', 'EXCEPT', 'EXISTS', 'EXPLAIN', 'FOR UPDATE', 'FOREIGN KEY', 'FROM', 'FULL', 'FUNCTION',
+  'GRANT', 'GROUP BY', 'HAVING', 'IF', 'IGNORE', 'IN', 'INDEX', 'INNER JOIN', 'INSERT INTO', 'INTERSECT', 'INTERVAL',
+  'INTO', 'IS', 'JOIN', 'KEY', 'KILL', 'LEFT JOIN', 'LIKE', 'LIMIT', 'LOCK', 'MODIFY', 'NATURAL', 'NOT', 'NULL', 'OFFSET',
+  'ON', 'ON DUPLICATE KEY UPDATE', 'OR', 'ORDER BY', 'OUTER', 'OVER', 'PARTITION BY', 'PRIMARY KEY', 'PROCEDURE',
+  'REFERENCES', 'REGEXP', 'RENAME', 'REPLACE', 'RETURNING', 'RETURNS', 'REVOKE', 'RIGHT JOIN', 'ROLLBACK', 'SAVEPOINT',
+  'SELECT', 'SET', 'SHOW', 'START TRANSACTION', 'STRAIGHT_JOIN', 'TABLE', 'TEMPORARY', 'THEN', 'TRIGGER', 'TRUNCATE',
+  'UNION', 'UNION ALL', 'UNIQUE', 'UNLOCK', 'UPDATE', 'USE', 'USING', 'VALUES', 'VIEW', 'WHEN', 'WHERE', 'WINDOW', 'WITH',
+];
+
+const FUNCTIONS = [
+  'ABS', 'ADDDATE', 'AVG', 'BIT_LENGTH', 'CAST', 'CEIL', 'CHAR_LENGTH', 'COALESCE', 'CONCAT', 'CONCAT_WS', 'CONVERT',
+  'CONVERT_TZ', 'COUNT', 'CURDATE', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'CURTIME', 'DATABASE', 'DATE', 'DATE_ADD',
+  'DATE_FORMAT', 'DATE_SUB', 'DATEDIFF', 'DAY', 'DAYNAME', 'DAYOFWEEK', 'DENSE_RANK', 'EXTRACT', 'FIELD', 'FIND_IN_SET',
+  'FIRST_VALUE', 'FLOOR', 'FORMAT', 'FROM_UNIXTIME', 'GREATEST', 'GROUP_CONCAT', 'HEX', 'HOUR', 'IF', 'IFNULL', 'INSERT',
+  'INSTR', 'JSON_ARRAY', 'JSON_ARRAYAGG', 'JSON_CONTAINS', 'JSON_EXTRACT', 'JSON_OBJECT', 'JSON_OBJECTAGG', 'JSON_QUERY',
+  'JSON_SET', 'JSON_TABLE', 'JSON_UNQUOTE', 'JSON_VALUE', 'LAG', 'LAST_DAY', 'LAST_INSERT_ID', 'LAST_VALUE', 'LCASE',
+  'LEAD', 'LEAST', 'LEFT', 'LENGTH', 'LOCATE', 'LOWER', 'LPAD', 'LTRIM', 'MAX', 'MD5', 'MID', 'MIN', 'MINUTE', 'MOD',
+  'MONTH', 'MONTHNAME', 'NOW', 'NULLIF', 'NVL', 'POSITION', 'POW', 'RAND', 'RANK', 'REGEXP_REPLACE', 'REGEXP_SUBSTR',
+  'REPEAT', 'REPLACE', 'REVERSE', 'RIGHT', 'ROUND', 'ROW_COUNT', 'ROW_NUMBER', 'RPAD', 'RTRIM', 'SECOND', 'SHA2',
+  'SIGN', 'SQRT', 'STD', 'STR_TO_DATE', 'SUBDATE', 'SUBSTR', 'SUBSTRING', 'SUBSTRING_INDEX', 'SUM', 'SYSDATE',
+  'TIMEDIFF', 'TIMESTAMPDIFF', 'TO_DAYS', 'TRIM', 'TRUNCATE', 'UCASE', 'UNHEX', 'UNIX_TIMESTAMP', 'UPPER', 'USER',
+  'UTC_TIMESTAMP', 'UUID', 'VERSION', 'WEEK', 'WEEKDAY', 'YEAR',
+];
+
+const IDENTIFIER = '(?:`[^`]*`|[\\w$]+)';
+// a table reference after FROM, JOIN, UPDATE, INTO, etc: [schema.]table [[AS] alias], followed by more references on comma lists
+const TABLE_REFERENCE = new RegExp(`(${IDENTIFIER})(?:\\s*\\.\\s*(${IDENTIFIER}))?(?:\\s+(?:AS\\s+)?(${IDENTIFIER}))?`, 'iy');
+const REFERENCE_START = /\b(FROM|JOIN|UPDATE|INTO|TABLE|DESCRIBE|DESC)\s+/ig;
+// words that can follow a table reference and so are never aliases
+const NOT_ALIAS = new Set([
+  'WHERE', 'ON', 'USING', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'CROSS', 'NATURAL', 'STRAIGHT_JOIN', 'OUTER', 'FULL', 'SET',
+  'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'UNION', 'EXCEPT', 'INTERSECT', 'WINDOW', 'FOR', 'LOCK', 'VALUES', 'VALUE',
+  'SELECT', 'PARTITION', 'USE', 'IGNORE', 'FORCE', 'RETURNING', 'INTO', 'WITH', 'AS',
+]);
+// the text being typed, with the qualifiers before it (like `alias.col` or schema.table.col)
+const TYPED = /(?:(?:`[^`]*`|[\w$]+)\s*\.\s*)*(?:`[^`]*|[\w$]*)$/;
+const USE_STATEMENT = /\bUSE\s+(`[^`]*`|[\w$]+)/ig;
+
+/**
+ * autocomplete-plus provider for sql editors. Completions come from the connection the editor last ran a query on:
+ * schemas, tables, views, columns (with their types) and routines, besides the MariaDB keywords and functions.
+ * Table aliases set on FROM/JOIN clauses of the current statement are resolved to the columns of their tables.
+ */
+class CompletionProvider {
+  constructor() {
+    this.selector = '.source.sql';
+    this.disableForSelector = '.source.sql .comment, .source.sql .string';
+    this.inclusionPriority = 1;
+    this.suggestionPriority = 2;
+    this.sources = new WeakMap();
+    this.lastSource = undefined;
+  }
+
+  /**
+   * Links the editor to a connection, so its completions come from that connection
+   * @param {TextEditor}    editor
+   * @param {MariaDbEngine} engine
+   * @param {string}        connectionName  Reference for the user's connection
+   */
+  bind(editor, engine, connectionName) {
+    let source = {engine, connectionName};
+
+    if (editor) {
+      this.sources.set(editor, source);
+    }
+
+    this.lastSource = source;
+  }
+
+  /**
+   * @param  {TextEditor} editor
+   * @return {object}     {engine, connectionName} the editor last ran a query on, or undefined
+   */
+  connectionOf(editor) {
+    return this.sources.get(editor);
+  }
+
+  /**
+   * Editors that never ran a query use the last connection a query ran on
+   */
+  _source(editor) {
+    return this.sources.get(editor) || this.lastSource;
+  }
+
+  /**
+   * @param  {object}  request  autocomplete-plus request ({editor, bufferPosition})
+   * @return {Promise} resolves with the suggestions
+   */
+  getSuggestions({editor, bufferPosition}) {
+    let source = this._source(editor);
+    let line = editor.getTextInBufferRange([[bufferPosition.row, 0], bufferPosition]);
+    let typed = line.match(TYPED)[0];
+    let parts = typed.split('.').map((part)=>this._unquote(part.trim()));
+    let prefix = parts.pop();
+    let replacementPrefix = typed.slice(typed.lastIndexOf('.') + 1).trimStart();
+
+    if (!source || (parts.length === 0 && prefix.length === 0)) {
+      return Promise.resolve([]);
+    }
+
+    let statement = this._statement(editor, bufferPosition);
+    let defaultSchema = this._defaultSchema(editor, bufferPosition) || source.engine.getDefaultSchema(source.connectionName);
+    let suggestions = parts.length > 0
+      ? this._qualified(parts, statement, defaultSchema, source)
+      : this._unqualified(statement, defaultSchema, source);
+
+    return suggestions.then((list)=>list
+      .filter((suggestion)=>suggestion.text.toLowerCase().startsWith(prefix.toLowerCase()))
+      .map((suggestion)=>Object.assign(suggestion, {replacementPrefix}))
+    ).catch(()=>[]);
+  }
+
+  /**
+   * Completions after a qualifier: columns of an alias or table (schema.table. too) and objects of a schema
+   */
+  _qualified(parts, statement, defaultSchema, source) {
+    let objects = (schema)=>source.engine.getSchemaMetadata(source.connectionName, schema);
+
+    if (parts.length > 1) {
+      return objects(parts[parts.length - 2]).then((metadata)=>this._columns(metadata.tables[parts[parts.length - 1]]));
+    }
+
+    let reference = this._references(statement).find((item)=>item.alias === parts[0])
+      || this._references(statement).find((item)=>!item.alias && item.table === parts[0]);
+    let schema = reference ? reference.schema || defaultSchema : defaultSchema;
+    let table = reference ? reference.table : parts[0];
+
+    return (schema ? objects(schema) : Promise.resolve({tables: {}})).then((metadata)=>{
+      if (metadata.tables[table]) {
+        return this._columns(metadata.tables[table]);
+      }
+
+      return source.engine.getSchemaNames(source.connectionName).then((schemas)=>schemas.includes(parts[0])
+        ? objects(parts[0]).then((schemaObjects)=>this._objects(schemaObjects))
+        : []
+      );
+    });
+  }
+
+  /**
+   * Completions without qualifier: keywords, functions, schemas, objects of the default schema
+   * and columns of the tables referenced by the statement
+   */
+  _unqualified(statement, defaultSchema, source) {
+    let references = this._references(statement);
+    let objects = (schema)=>source.engine.getSchemaMetadata(source.connectionName, schema);
+    let schemas = new Set(references.map((item)=>item.schema || defaultSchema).filter((schema)=>schema));
+
+    if (defaultSchema) {
+      schemas.add(defaultSchema);
+    }
+
+    return Promise.all([
+      source.engine.getSchemaNames(source.connectionName),
+      Promise.all(Array.from(schemas).map((schema)=>objects(schema).then((metadata)=>({schema, metadata})))),
+    ]).then(([schemaNames, loaded])=>{
+      let bySchema = {};
+      let columns = [];
+
+      loaded.forEach((item)=>bySchema[item.schema] = item.metadata);
+      references.forEach((reference)=>{
+        let metadata = bySchema[reference.schema || defaultSchema];
+
+        if (metadata && metadata.tables[reference.table]) {
+          columns = columns.concat(this._columns(metadata.tables[reference.table], reference.alias || reference.table));
+        }
+      });
+
+      return columns.concat(
+        defaultSchema && bySchema[defaultSchema] ? this._objects(bySchema[defaultSchema]) : [],
+        schemaNames.map((schema)=>({text: schema, type: 'import', rightLabel: 'schema'})),
+        FUNCTIONS.map((name)=>({text: name, snippet: `${name}(\${1})`, type: 'function', rightLabel: 'function'})),
+        KEYWORDS.map((keyword)=>({text: keyword, type: 'keyword'}))
+      );
+    });
+  }
+
+  _columns(table, qualifier) {
+    return table ? table.columns.map((column)=>({
+      text: column.name,
+      type: 'property',
+      rightLabel: column.type,
+      description: qualifier ? `${qualifier}.${column.name}` : `${table.name}.${column.name}`,
+    })) : [];
+  }
+
+  _objects(metadata) {
+    return Object.values(metadata.tables).map((table)=>({
+      text: table.name,
+      type: 'class',
+      rightLabel: table.type === 'VIEW' ? 'view' : 'table',
+    })).concat(metadata.routines.map((routine)=>({
+      text: routine.name,
+      snippet: `${routine.name}(\${1})`,
+      type: routine.type === 'FUNCTION' ? 'function' : 'method',
+      rightLabel: routine.type === 'FUNCTION' ? routine.returns : 'procedure',
+    })));
+  }
+
+  /**
+   * @param  {string}   statement
+   * @return {object[]} tables referenced by the statement, as {schema, table, alias}
+   */
+  _references(statement) {
+    let references = [];
+    let start = undefined;
+
+    REFERENCE_START.lastIndex = 0;
+
+    while ((start = REFERENCE_START.exec(statement)) !== null) {
+      let position = REFERENCE_START.lastIndex;
+      let match = undefined;
+
+      do {
+        TABLE_REFERENCE.lastIndex = position;
+        match = TABLE_REFERENCE.exec(statement);
+
+        if (!match || NOT_ALIAS.has(match[1].toUpperCase())) {
+          break;
+        }
+
+        let alias = match[3] && !NOT_ALIAS.has(match[3].toUpperCase()) ? this._unquote(match[3]) : undefined;
+        let end = alias || !match[3] ? TABLE_REFERENCE.lastIndex : TABLE_REFERENCE.lastIndex - match[3].length;
+
+        references.push(match[2]
+          ? {schema: this._unquote(match[1]), table: this._unquote(match[2]), alias}
+          : {schema: undefined, table: this._unquote(match[1]), alias}
+        );
+
+        let comma = /\s*,\s*/y;
+
+        comma.lastIndex = end;
+        position = comma.test(statement) ? comma.lastIndex : -1;
+      } while (position >= 0);
+    }
+
+    return references;
+  }
+
+  /**
+   * @return {string} the statement under the cursor, delimited by semicolons
+   */
+  _statement(editor, bufferPosition) {
+    let text = editor.getText();
+    let offset = editor.getBuffer().characterIndexForPosition(bufferPosition);
+    let start = text.lastIndexOf(';', offset - 1) + 1;
+    let end = text.indexOf(';', offset);
+
+    return text.slice(start, end < 0 ? text.length : end);
+  }
+
+  /**
+   * @return {string} the schema set by the last USE statement before the cursor, if any
+   */
+  _defaultSchema(editor, bufferPosition) {
+    let text = editor.getTextInBufferRange([[0, 0], bufferPosition]);
+    let schema = undefined;
+    let match = undefined;
+
+    USE_STATEMENT.lastIndex = 0;
+
+    while ((match = USE_STATEMENT.exec(text)) !== null) {
+      schema = this._unquote(match[1]);
+    }
+
+    return schema;
+  }
+
+  _unquote(name) {
+    return name.replace(/^`|`$/g, '').replace(/``/g, '`');
+  }
+}
+
+export default new CompletionProvider();
@@ -0,0 +1,182 @@
+'use babel';
+
+// typed on a cell to set it to NULL, like on LOAD DATA files
+const NULL_TEXT = '\\N';
+// shown by castValue as binary digits and WKT, which would be written back as plain strings
+const READ_ONLY_TYPES = ['BIT', 'GEOMETRY'];
+
+/**
+ * Modal grid with a page of a table content, where cells are edited and rows are added or deleted.
+ * Binary cells are shown as previews (see castValue), so they can't be edited, and neither can BIT and GEOMETRY cells.
+ * An empty cell stays NULL when it was NULL; on new rows it takes the column default.
+ */
+class DataEditorDialog {
+  /**
+   * @param  {string}   title    form title
+   * @param  {object[]} columns  result columns, as given by toResultSet
+   * @param  {Array[]}  rows     the page rows, one value for each column
+   * @return {Promise}           resolves with the changes as expected by DataEditor.buildStatements,
+   *                             or undefined when the user cancels
+   */
+  open(title, columns, rows) {
+    return new Promise((resolve) => {
+      let names = columns.map((column)=>column.name);
+      let edited = rows.map((row)=>({row: row, values: row.slice(), deleted: false}));
+      let inserted = [];
+      let element = this._element('div', 'mariadb-dialog', 'mariadb-data-editor');
+      let grid = this._element('div', 'mariadb-data-editor-grid');
+      let panel = undefined;
+
+      let render = ()=>{
+        let table = this._element('table');
+        let header = this._element('tr');
+
+        names.concat(['']).forEach((name)=>header.appendChild(this._element('th', undefined, undefined, name)));
+        table.appendChild(header);
+
+        edited.concat(inserted).forEach((item)=>{
+          let tableRow = this._element('tr', item.deleted ? 'mariadb-data-editor-deleted' : undefined, item.row ? undefined : 'mariadb-data-editor-inserted');
+
+          item.values.forEach((value, index)=>{
+            let readOnly = columns[index].binary || READ_ONLY_TYPES.includes(columns[index].typeName) || item.deleted;
+
+            tableRow.appendChild(this._element('td')).appendChild(this._cell(value, readOnly, (text)=>{
+              item.values[index] = this._typed(text, item.row ? item.row[index] : undefined);
+            }));
+          });
+
+          tableRow.appendChild(this._element('td')).appendChild(item.row
+            ? this._button(item.deleted ? 'Keep' : 'Delete', ()=>{
+              item.deleted = !item.deleted;
+              render();
+            })
+            : this._button('Remove', ()=>{
+              inserted.splice(inserted.indexOf(item), 1);
+              render();
+            }));
+
+          table.appendChild(tableRow);
+        });
+
+        grid.textContent = '';
+        grid.appendChild(table);
+      };
+
+      let finish = (confirmed)=>{
+        panel.destroy();
+        resolve(confirmed ? this._changes(names, edited, inserted) : undefined);
+      };
+
+      element.appendChild(this._element('h2', undefined, undefined, title));
+      element.appendChild(this._element('div', 'text-subtle', undefined, `Empty cells of new rows take the column default. Type ${NULL_TEXT} for NULL`));
+      element.appendChild(grid);
+
+      let buttons = this._element('div', 'mariadb-dialog-buttons', 'block');
+      buttons.appendChild(this._button('Add row', ()=>{
+        inserted.push({row: undefined, values: names.map(()=>undefined), deleted: false});
+        render();
+      }));
+      buttons.appendChild(this._button('Preview', ()=>finish(true), 'btn-primary'));
+      buttons.appendChild(this._button('Cancel', ()=>finish(false)));
+      element.appendChild(buttons);
+
+      element.addEventListener('keydown', (event)=>{
+        if (event.key === 'Escape') {
+          finish(false);
+        }
+      });
+
+      render();
+      panel = atom.workspace.addModalPanel({item: element, autoFocus: true});
+    });
+  }
+
+  /**
+   * @param  {string} text      the cell input
+   * @param  {*}      original  the value on the page, undefined for new rows
+   * @return {*}                null for NULL_TEXT, undefined (the column default) for an empty cell of a new row,
+   *                            null for an empty cell that was NULL, otherwise the text
+   */
+  _typed(text, original) {
+    if (text === NULL_TEXT) {
+      return null;
+    }
+
+    if (text === '' && (original === undefined || original === null)) {
+      return original;
+    }
+
+    return text;
+  }
+
+  _changes(columns, edited, inserted) {
+    // the page values are not always strings (numbers, for instance), while the cells give the typed text
+    let same = (value, original)=>value === original || (value !== null && original !== null && value === String(original));
+    let changed = (item)=>{
+      let values = {};
+
+      item.values.forEach((value, index)=>{
+        if (!same(value, item.row[index])) {
+          values[columns[index]] = value;
+        }
+      });
+
+      return values;
+    };
+
+    return {
+      columns: columns,
+      updates: edited.filter((item)=>!item.deleted).map((item)=>({row: item.row, values: changed(item)})),
+      inserts: inserted.map((item)=>{
+        let values = {};
+
+        item.values.forEach((value, index)=>{
+          if (value !== undefined) {
+            values[columns[index]] = value;
+          }
+        });
+
+        return values;
+      }).filter((values)=>Object.keys(values).length > 0),
+      deletes: edited.filter((item)=>item.deleted).map((item)=>item.row),
+    };
+  }
+
+  /**
+   * @param  {*}        value
+   * @param  {boolean}  readOnly
+   * @param  {callable} onChange  receives the typed text
+   * @return {Element}
+   */
+  _cell(value, readOnly, onChange) {
+    let input = this._element('input', 'input-text', 'native-key-bindings');
+    input.type = 'text';
+    input.value = value === null || value === undefined ? '' : String(value);
+    input.placeholder = 'NULL';
+    input.disabled = readOnly;
+    input.addEventListener('input', ()=>onChange(input.value));
+
+    return input;
+  }
+
+  _button(text, onClick, cssClass) {
+    let button = this._element('button', 'btn', cssClass, text);
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+
+  _element(tag, cssClass, otherClass, text) {
+    let element = document.createElement(tag);
+
+    [cssClass, otherClass].filter((name)=>name).forEach((name)=>element.classList.add(name));
+
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+
+    return element;
+  }
+}
+
+export default new DataEditorDialog();
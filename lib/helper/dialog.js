@@ -0,0 +1,170 @@
+'use babel';
+
+import {TextEditor} from 'atom';
+import {remote} from 'electron';
+
+/**
+ * Small modal forms used by the engine actions to ask the user for options
+ */
+class Dialog {
+  /**
+   * Shows a modal form and waits for the user.
+   * Fields are {id, title, type, value, tip, options}, where type is one of 'text' (default), 'bool' or 'select'.
+   * Select fields receive options as a list of {value, title}.
+   *
+   * @param  {string}   title   form title
+   * @param  {object[]} fields  the fields to be shown
+   * @param  {string}   okText  label for the confirmation button
+   * @return {Promise}          resolves with a {fieldId: value} object or undefined when the user cancels
+   */
+  ask(title, fields, okText = 'OK') {
+    return new Promise((resolve) => {
+      let element = document.createElement('div');
+      let getters = {};
+      let panel = undefined;
+      let firstEditor = undefined;
+
+      element.classList.add('mariadb-dialog');
+      element.appendChild(this._text('h2', title));
+
+      fields.forEach((field)=>{
+        let row = document.createElement('div');
+        row.classList.add('mariadb-dialog-field');
+        row.appendChild(this._text('label', field.title));
+
+        if (field.type === 'bool') {
+          let input = document.createElement('input');
+          input.type = 'checkbox';
+          input.classList.add('input-checkbox');
+          input.checked = field.value === true;
+          row.firstChild.prepend(input);
+          getters[field.id] = ()=>input.checked;
+        } else if (field.type === 'select') {
+          let select = document.createElement('select');
+          select.classList.add('input-select');
+
+          field.options.forEach((option)=>{
+            let item = this._text('option', option.title);
+            item.value = option.value;
+            item.selected = option.value === field.value;
+            select.appendChild(item);
+          });
+
+          row.appendChild(select);
+          getters[field.id] = ()=>select.value;
+        } else {
+          let editor = new TextEditor({mini: true});
+          editor.setText(field.value !== undefined && field.value !== null ? String(field.value) : '');
+          row.appendChild(editor.getElement());
+          getters[field.id] = ()=>editor.getText();
+          firstEditor = firstEditor || editor;
+        }
+
+        if (field.tip) {
+          row.appendChild(this._text('div', field.tip, 'text-subtle'));
+        }
+
+        element.appendChild(row);
+      });
+
+      let finish = (confirmed)=>{
+        let values = undefined;
+
+        if (confirmed) {
+          values = {};
+          Object.keys(getters).forEach((id)=>values[id] = getters[id]());
+        }
+
+        panel.destroy();
+        resolve(values);
+      };
+
+      let buttons = document.createElement('div');
+      buttons.classList.add('mariadb-dialog-buttons', 'block');
+      buttons.appendChild(this._button(okText, ()=>finish(true), 'btn-primary'));
+      buttons.appendChild(this._button('Cancel', ()=>finish(false)));
+      element.appendChild(buttons);
+
+      element.addEventListener('keydown', (event)=>{
+        if (event.key === 'Escape') {
+          finish(false);
+        } else if (event.key === 'Enter' && event.target.tagName !== 'SELECT') {
+          finish(true);
+        }
+      });
+
+      panel = atom.workspace.addModalPanel({item: element, autoFocus: true});
+
+      if (firstEditor) {
+        firstEditor.getElement().focus();
+      }
+    });
+  }
+
+  /**
+   * Asks the user to confirm something (usually a generated sql) before it runs
+   * @param  {string}  message  main message
+   * @param  {string}  detail   detailed text, like the sql to be executed
+   * @param  {string}  okText   label for the confirmation button
+   * @return {Promise}          resolves with true when the user confirms
+   */
+  confirm(message, detail, okText = 'Run') {
+    return new Promise((resolve) => {
+      atom.confirm(
+        {message: message, detailedMessage: detail, buttons: [okText, 'Cancel']},
+        (response)=>resolve(response === 0)
+      );
+    });
+  }
+
+  /**
+   * @param  {string}  defaultPath  suggested file path
+   * @return {Promise}              resolves with the chosen path or undefined when cancelled
+   */
+  saveFile(defaultPath) {
+    return new Promise((resolve) => {
+      atom.applicationDelegate.showSaveDialog({defaultPath}, (path)=>resolve(path || undefined));
+    });
+  }
+
+  /**
+   * @param  {object[]} filters  file filters, like [{name: 'SQL', extensions: ['sql']}]
+   * @return {Promise}           resolves with the chosen path or undefined when cancelled
+   */
+  openFile(filters = []) {
+    let options = {properties: ['openFile'], filters};
+    let window = remote.getCurrentWindow();
+
+    // newer electron versions only return the paths synchronously with showOpenDialogSync
+    let paths = remote.dialog.showOpenDialogSync
+      ? remote.dialog.showOpenDialogSync(window, options)
+      : remote.dialog.showOpenDialog(window, options);
+
+    return Promise.resolve(paths && paths.length > 0 ? paths[0] : undefined);
+  }
+
+  _text(tag, text, cssClass) {
+    let element = document.createElement(tag);
+    element.textContent = text;
+
+    if (cssClass) {
+      element.classList.add(cssClass);
+    }
+
+    return element;
+  }
+
+  _button(text, onClick, cssClass) {
+    let button = this._text('button', text, 'btn');
+
+    if (cssClass) {
+      button.classList.add(cssClass);
+    }
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
+
+export default new Dialog();
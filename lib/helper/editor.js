@@ -0,0 +1,24 @@
+'use babel';
+
+/**
+ * Opens a new editor with the given sql text, using the sql grammar when it is available
+ * @param  {string}  text
+ * @return {Promise} resolves with the editor
+ */
+export default function openSqlEditor(text) {
+  return atom.workspace.open().then((editor)=>{
+    editor.setText(text);
+
+    if (atom.grammars.assignLanguageMode) {
+      atom.grammars.assignLanguageMode(editor.getBuffer(), 'source.sql');
+    } else {
+      let grammar = atom.grammars.grammarForScopeName('source.sql');
+
+      if (grammar) {
+        editor.setGrammar(grammar);
+      }
+    }
+
+    return editor;
+  });
+}
@@ -0,0 +1,8 @@
+'use babel';
+
+/**
+ * Boolean connection fields may come as booleans or as strings, depending on how they were stored
+ */
+export default function isChecked(value) {
+  return value === true || value === 'true' || value === 1 || value === '1';
+}
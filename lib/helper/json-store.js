@@ -0,0 +1,68 @@
+'use babel';
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Data kept between sessions, as json files in the package folder of the Atom config directory.
+ * Files are read again before every change, so windows sharing a file don't drop each other's changes,
+ * and replaced at once (written aside, then renamed), so they are never read half written.
+ */
+export default class JsonStore {
+  /**
+   * @param {string} name      file name, without extension
+   * @param {*}      fallback  value used while the file doesn't exist
+   */
+  constructor(name, fallback) {
+    this.name = name;
+    this.fallback = fallback;
+  }
+
+  get path() {
+    return path.join(atom.getConfigDirPath(), 'atom-dbex-mariadb', `${this.name}.json`);
+  }
+
+  /**
+   * @return {*} the stored value
+   * @throws {Error} when the file can't be read or parsed, so it is not replaced by the fallback on the next change
+   */
+  read() {
+    let text = undefined;
+
+    try {
+      text = fs.readFileSync(this.path, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+
+      return JSON.parse(JSON.stringify(this.fallback));
+    }
+
+    return JSON.parse(text);
+  }
+
+  /**
+   * @param {*} value  replaces the stored value
+   */
+  write(value) {
+    let temporary = `${this.path}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.path), {recursive: true});
+    fs.writeFileSync(temporary, JSON.stringify(value));
+    fs.renameSync(temporary, this.path);
+  }
+
+  /**
+   * Reads, changes and writes the value
+   * @param  {callable} change  receives the stored value and returns the new one
+   * @return {*}                the new value
+   */
+  update(change) {
+    let value = change(this.read());
+
+    this.write(value);
+
+    return value;
+  }
+}
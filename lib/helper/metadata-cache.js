@@ -0,0 +1,95 @@
+'use babel';
+
+/**
+ * Results of the INFORMATION_SCHEMA (and SHOW CREATE) queries used by the tree, structure actions and autocomplete,
+ * kept for each connection during the "Metadata cache time" setting. Entries are grouped by schema, so refreshing
+ * a node only reloads its own schema. Connection wide entries (like the schema list) have no schema and are
+ * dropped together with any schema.
+ */
+export default class MetadataCache {
+  constructor() {
+    this.entries = {};
+  }
+
+  /**
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {string}   schema          schema the entry belongs to, undefined for connection wide entries
+   * @param  {string}   key             unique key of the entry on the connection
+   * @param  {callable} load            returns a Promise with the value, called when there is no valid entry
+   * @return {Promise}  resolves with the cached or loaded value. Failures are not kept
+   */
+  get(connectionName, schema, key, load) {
+    let ttl = atom.config.get('atom-dbex-mariadb.metadataCacheTtl') * 1000;
+    let entries = this.entries[connectionName] = this.entries[connectionName] || new Map();
+    let entry = entries.get(key);
+
+    if (entry && Date.now() - entry.time < ttl) {
+      return entry.promise;
+    }
+
+    if (ttl <= 0) {
+      return load();
+    }
+
+    entry = {schema: schema, time: Date.now(), promise: undefined};
+    entry.promise = load().catch((err)=>{
+      if (entries.get(key) === entry) {
+        entries.delete(key);
+      }
+
+      throw err;
+    });
+    entries.set(key, entry);
+
+    return entry.promise;
+  }
+
+  /**
+   * A connection whose queries are read from the cache. Anything else is delegated to the real connection
+   * @param  {Connection} connection
+   * @param  {string}     connectionName  Reference for the user's connection
+   * @param  {string}     schema          schema the queries belong to
+   * @return {Connection}
+   */
+  wrap(connection, connectionName, schema) {
+    let cached = Object.create(connection);
+
+    cached.query = (query, values)=>this.get(
+      connectionName,
+      schema,
+      JSON.stringify(typeof query === 'string' ? [query, values] : [query.sql, query.values, values]),
+      ()=>connection.query(query, values)
+    );
+
+    return cached;
+  }
+
+  /**
+   * @param {string} connectionName  Reference for the user's connection
+   * @param {string} schema          optional. Only the entries of this schema (and the connection wide ones) are dropped
+   */
+  invalidate(connectionName, schema) {
+    let entries = this.entries[connectionName];
+
+    if (!entries) {
+      return;
+    }
+
+    if (schema === undefined) {
+      delete this.entries[connectionName];
+      return;
+    }
+
+    Array.from(entries.keys()).forEach((key)=>{
+      let entrySchema = entries.get(key).schema;
+
+      if (entrySchema === undefined || entrySchema === schema) {
+        entries.delete(key);
+      }
+    });
+  }
+
+  clear() {
+    this.entries = {};
+  }
+}
@@ -0,0 +1,37 @@
+'use babel';
+
+/**
+ * A dismissable notification that shows the progress of long running tasks
+ */
+export default class Progress {
+  /**
+   * @param {string}   title     notification title
+   * @param {string}   detail    initial text for the notification
+   * @param {callable} onCancel  optional. When given, a cancel button is shown and this is called when clicked
+   */
+  constructor(title, detail, onCancel) {
+    this.notification = atom.notifications.addInfo(title, {
+      buttons: onCancel ? [{text: 'Cancel', onDidClick: ()=>onCancel()}] : [],
+      detail: detail,
+      dismissable: true
+    });
+  }
+
+  /**
+   * Replaces the notification detail. Nothing happens when the notification is not being displayed.
+   * @param {string} detail
+   */
+  update(detail) {
+    let view = atom.views.getView(this.notification);
+    let element = view && (view.element || view);
+    let content = element && element.querySelector ? element.querySelector('.detail-content') : undefined;
+
+    if (content) {
+      content.textContent = detail;
+    }
+  }
+
+  done() {
+    this.notification.dismiss();
+  }
+}
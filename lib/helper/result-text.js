@@ -0,0 +1,16 @@
+'use babel';
+
+/**
+ * Writes a ResultSet as a plain text table, with every column padded to its widest value
+ * @param  {ResultSet} resultSet
+ * @return {string}
+ */
+export default function resultText(resultSet) {
+  let text = (value)=>value === null || value === undefined ? '' : String(value);
+  let names = (resultSet.columns || []).map((column)=>typeof column === 'string' ? column : column.name);
+  let rows = (resultSet.data || []).map((row)=>row.map(text));
+  let widths = names.map((name, index)=>rows.reduce((width, row)=>Math.max(width, row[index].length), name.length));
+  let line = (cells)=>cells.map((cell, index)=>cell.padEnd(widths[index])).join(' | ').trimEnd();
+
+  return [line(names), widths.map((width)=>'-'.repeat(width)).join('-+-')].concat(rows.map(line)).join('\n') + '\n';
+}
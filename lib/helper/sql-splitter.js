@@ -0,0 +1,162 @@
+'use babel';
+
+const DEFAULT_DELIMITER = ';';
+const DELIMITER_COMMAND = /^\s*delimiter\s+(\S+)\s*$/i;
+
+/**
+ * Splits sql text into single statements the same way the mysql/mariadb command line client does.
+ * Quotes, comments and DELIMITER changes are respected. Text can be pushed in chunks, so big files
+ * can be parsed without loading them entirely in memory.
+ */
+export class SqlSplitter {
+  constructor() {
+    this.delimiter = DEFAULT_DELIMITER;
+    this.pending = '';
+    this.line = 0;
+    this._resetStatement();
+    this.quote = undefined;
+    this.blockComment = false;
+  }
+
+  /**
+   * @param  {string} chunk  a piece of sql text
+   * @return {object[]}      the statements completed by this chunk as {sql, line}
+   */
+  push(chunk) {
+    let statements = [];
+    let lines = (this.pending + chunk).split('\n');
+
+    this.pending = lines.pop();
+    lines.forEach((line)=>this._parseLine(line + '\n', statements));
+
+    return statements;
+  }
+
+  /**
+   * Flushes whatever is left after the last chunk. A statement without delimiter at the end is also returned.
+   * @return {object[]} the remaining statements as {sql, line}
+   */
+  end() {
+    let statements = [];
+
+    if (this.pending.length > 0) {
+      this._parseLine(this.pending, statements);
+      this.pending = '';
+    }
+
+    this._flush(statements);
+
+    return statements;
+  }
+
+  _resetStatement() {
+    this.sql = '';
+    this.startLine = undefined;
+  }
+
+  _flush(statements) {
+    if (this.startLine !== undefined) {
+      statements.push({sql: this.sql.trim(), line: this.startLine});
+    }
+
+    this._resetStatement();
+  }
+
+  _parseLine(line, statements) {
+    this.line++;
+
+    if (!this.quote && !this.blockComment) {
+      let command = line.match(DELIMITER_COMMAND);
+
+      if (command) {
+        this._flush(statements);
+        this.delimiter = command[1];
+        return;
+      }
+    }
+
+    let i = 0;
+
+    while (i < line.length) {
+      let char = line[i];
+
+      if (this.blockComment) {
+        if (line.startsWith('*/', i)) {
+          this.blockComment = false;
+          this._append('*/');
+          i += 2;
+        } else {
+          this._append(char);
+          i++;
+        }
+      } else if (this.quote) {
+        this.sql += char;
+
+        if (char === '\\' && this.quote !== '`' && i + 1 < line.length) {
+          this.sql += line[i + 1];
+          i += 2;
+          continue;
+        }
+
+        if (char === this.quote) {
+          if (line[i + 1] === this.quote) {
+            this.sql += line[i + 1];
+            i++;
+          } else {
+            this.quote = undefined;
+          }
+        }
+
+        i++;
+      } else if (line.startsWith(this.delimiter, i)) {
+        this._flush(statements);
+        i += this.delimiter.length;
+      } else if (char === '#' || (line.startsWith('--', i) && /\s/.test(line[i + 2] || '\n'))) {
+        this._append('\n');
+        i = line.length;
+      } else if (line.startsWith('/*', i)) {
+        // executable comments (/*! ... */) are part of the statement
+        if (line[i + 2] === '!' || (line[i + 2] === 'M' && line[i + 3] === '!')) {
+          this._markStart();
+        }
+
+        this.blockComment = true;
+        this._append('/*');
+        i += 2;
+      } else {
+        if (char === "'" || char === '"' || char === '`') {
+          this.quote = char;
+        }
+
+        if (!/\s/.test(char)) {
+          this._markStart();
+        }
+
+        this._append(char);
+        i++;
+      }
+    }
+  }
+
+  _append(text) {
+    if (this.startLine !== undefined) {
+      this.sql += text;
+    }
+  }
+
+  _markStart() {
+    if (this.startLine === undefined) {
+      this.startLine = this.line;
+    }
+  }
+}
+
+/**
+ * @param  {string}   text the sql script
+ * @return {object[]}      a list of {sql, line} for every statement found in the text
+ */
+export default function splitStatements(text) {
+  let splitter = new SqlSplitter();
+
+  return splitter.push(text).concat(splitter.end());
+}
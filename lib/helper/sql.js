@@ -0,0 +1,105 @@
+'use babel';
+
+/**
+ * A piece of sql text with its placeholder values. It can be given straight to connection.query
+ * or connection.queryStream, since the driver accepts {sql, values} objects.
+ */
+export class Fragment {
+  constructor(sql, values = []) {
+    Object.assign(this, {sql, values});
+  }
+}
+
+/**
+ * Quotes identifiers with backticks. Multiple names are joined with dots.
+ * @example quoteId('my-schema', 'order') // `my-schema`.`order`
+ * @param  {...string} names schema, table, column, etc
+ * @return {string}
+ */
+export function quoteId(...names) {
+  return names.map((name)=>'`' + String(name).replace(/`/g, '``') + '`').join('.');
+}
+
+/**
+ * An identifier to be interpolated on the sql tagged template
+ * @param  {...string} names schema, table, column, etc
+ * @return {Fragment}
+ */
+export function id(...names) {
+  return new Fragment(quoteId(...names));
+}
+
+/**
+ * Trusted sql text to be interpolated as it is (keywords, sort directions, already built sql)
+ * @param  {string} text
+ * @return {Fragment}
+ */
+export function raw(text) {
+  return new Fragment(text);
+}
+
+/**
+ * Joins fragments with a separator
+ * @param  {Fragment[]} fragments
+ * @param  {string}     separator
+ * @return {Fragment}
+ */
+export function join(fragments, separator = ', ') {
+  return new Fragment(
+    fragments.map((fragment)=>fragment.sql).join(separator),
+    fragments.reduce((values, fragment)=>values.concat(fragment.values), [])
+  );
+}
+
+/**
+ * Tagged template that turns every interpolated value into a ? placeholder.
+ * Fragments (id, raw, join or another sql``) are merged as sql text.
+ * @example sql`SELECT * FROM ${id(schema, table)} WHERE name = ${name}`
+ * @return {Fragment}
+ */
+export default function sql(strings, ...params) {
+  let text = strings[0];
+  let values = [];
+
+  params.forEach((param, i)=>{
+    if (param instanceof Fragment) {
+      text += param.sql;
+      values = values.concat(param.values);
+    } else {
+      text += '?';
+      values.push(param);
+    }
+
+    text += strings[i + 1];
+  });
+
+  return new Fragment(text, values);
+}
+
+/**
+ * Replaces the placeholders with escaped values. Used only to show the sql to the user, never to run it.
+ * @param  {Fragment} fragment
+ * @param  {callable} escape    value escaping function, like connection.escape
+ * @return {string}
+ */
+export function inline(fragment, escape) {
+  let text = '';
+  let quote = undefined;
+  let valueIndex = 0;
+
+  for (let char of fragment.sql) {
+    if (quote) {
+      quote = char === quote ? undefined : quote;
+      text += char;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+      text += char;
+    } else if (char === '?' && valueIndex < fragment.values.length) {
+      text += escape(fragment.values[valueIndex++]);
+    } else {
+      text += char;
+    }
+  }
+
+  return text;
+}
@@ -0,0 +1,114 @@
+'use babel';
+
+import fs from 'fs';
+import net from 'net';
+import {Client} from 'ssh2';
+
+/**
+ * Local port forward through a ssh server (bastion host).
+ * Every socket accepted on the local port is forwarded to the database host/port as seen by the ssh server.
+ */
+export default class SshTunnel {
+  /**
+   * @param {object} ssh     host, port, user, password, privateKey (file path) and passphrase for the ssh server
+   * @param {string} dstHost database host as seen by the ssh server
+   * @param {number} dstPort database port as seen by the ssh server
+   * @param {callable} onError optional. Receives the message of the failures once the tunnel is open
+   *                           (ssh connection errors, refused forwards), which otherwise only show as closed sockets
+   */
+  constructor(ssh, dstHost, dstPort, onError = ()=>{}) {
+    Object.assign(this, {ssh, dstHost, dstPort, onError});
+    this.localHost = '127.0.0.1';
+    this.localPort = undefined;
+    this.client = undefined;
+    this.server = undefined;
+  }
+
+  /**
+   * Connects to the ssh server and starts listening on a random local port.
+   * Failures are rejected with a message starting with "SSH connection failed".
+   * @return {Promise} resolves with the tunnel itself when it is ready to be used
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      let fail = (err)=>{
+        this.close();
+        reject(new Error(`SSH connection failed: ${err.message || err}`));
+      };
+
+      let config = {
+        host: this.ssh.host,
+        port: parseInt(this.ssh.port || 22, 10),
+        username: this.ssh.user,
+        password: this.ssh.password || undefined,
+        passphrase: this.ssh.passphrase || undefined,
+        readyTimeout: 15000,
+      };
+
+      try {
+        if (this.ssh.privateKey && this.ssh.privateKey.length > 0) {
+          config.privateKey = fs.readFileSync(this.ssh.privateKey);
+        }
+      } catch (err) {
+        fail(err);
+        return;
+      }
+
+      this.client = new Client();
+
+      this.client.once('error', fail);
+      this.client.once('ready', ()=>{
+        this.client.removeListener('error', fail);
+        this.client.on('error', (err)=>this.onError(`ssh tunnel error: ${err.message || err}`));
+        this.client.on('close', ()=>this.close());
+
+        this.server = net.createServer((socket)=>this._forward(socket));
+        this.server.once('error', fail);
+        this.server.listen(0, this.localHost, ()=>{
+          this.localPort = this.server.address().port;
+          resolve(this);
+        });
+      });
+
+      this.client.connect(config);
+    });
+  }
+
+  _forward(socket) {
+    if (!this.client) {
+      socket.destroy();
+      return;
+    }
+
+    this.client.forwardOut(socket.remoteAddress, socket.remotePort, this.dstHost, parseInt(this.dstPort, 10), (err, stream)=>{
+      if (err) {
+        this.onError(`ssh forward to ${this.dstHost}:${this.dstPort} failed: ${err.message || err}`);
+        socket.destroy();
+        return;
+      }
+
+      socket.on('error', ()=>stream.close());
+      stream.on('error', ()=>socket.destroy());
+      socket.pipe(stream).pipe(socket);
+    });
+  }
+
+  /**
+   * Stops listening on the local port and closes the ssh connection
+   */
+  close() {
+    let server = this.server;
+    let client = this.client;
+
+    this.server = undefined;
+    this.client = undefined;
+
+    if (server) {
+      server.close();
+    }
+
+    if (client) {
+      client.end();
+    }
+  }
+}
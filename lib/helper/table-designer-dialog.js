@@ -0,0 +1,311 @@
+'use babel';
+
+import {default as tableDesigner, INDEX_KIND, REFERENCE_RULES} from '../domain/table-designer';
+
+/**
+ * Modal editor of a table design (see TableDesigner): table options and grids of columns, indexes and foreign keys.
+ * Lists of columns (on indexes and foreign keys) are written separated by commas.
+ */
+class TableDesignerDialog {
+  /**
+   * @param  {string}  title    form title
+   * @param  {object}  design   the design to start from. It is not changed, the edits are made on a copy
+   * @param  {object}  options  {schema, engines, collations} as given by TableDesigner.getOptions, plus the table schema
+   * @return {Promise}          resolves with the edited design or undefined when the user cancels
+   */
+  open(title, design, options) {
+    return new Promise((resolve) => {
+      let edited = JSON.parse(JSON.stringify(design));
+      let element = this._element('div', 'mariadb-dialog', 'mariadb-table-designer');
+      let sections = this._element('div');
+      let constraints = this._element('div');
+      let panel = undefined;
+
+      let renderConstraints = ()=>{
+        constraints.textContent = '';
+        constraints.appendChild(this._indexesSection(edited, renderConstraints));
+        constraints.appendChild(this._foreignKeysSection(edited, options, renderConstraints));
+      };
+      let render = ()=>{
+        sections.textContent = '';
+        sections.appendChild(this._tableSection(edited, options));
+        sections.appendChild(this._columnsSection(edited, render, (column, name)=>{
+          // only the indexes and foreign keys are drawn again, so the focus stays on the columns
+          if (column.name.length > 0) {
+            let renamed = tableDesigner.renameColumn(edited, column.name, name);
+
+            edited.indexes = renamed.indexes;
+            edited.foreignKeys = renamed.foreignKeys;
+          }
+
+          column.name = name;
+          renderConstraints();
+        }));
+        renderConstraints();
+        sections.appendChild(constraints);
+      };
+
+      let finish = (confirmed)=>{
+        panel.destroy();
+        resolve(confirmed ? edited : undefined);
+      };
+
+      element.appendChild(this._element('h2', undefined, undefined, title));
+      element.appendChild(sections);
+
+      let buttons = this._element('div', 'mariadb-dialog-buttons', 'block');
+      buttons.appendChild(this._button('Preview', ()=>finish(true), 'btn-primary'));
+      buttons.appendChild(this._button('Cancel', ()=>finish(false)));
+      element.appendChild(buttons);
+
+      element.addEventListener('keydown', (event)=>{
+        if (event.key === 'Escape') {
+          finish(false);
+        }
+      });
+
+      render();
+      panel = atom.workspace.addModalPanel({item: element, autoFocus: true});
+    });
+  }
+
+  _tableSection(design, {engines, collations}) {
+    let section = this._section('Table');
+    let charsets = collations.map((collation)=>collation.charset).filter((charset, index, list)=>list.indexOf(charset) === index);
+    let collationSelect = undefined;
+
+    let collationOptions = ()=>[''].concat(
+      collations.filter((collation)=>collation.charset === design.charset).map((collation)=>collation.name)
+    );
+
+    section.appendChild(this._field('Name', this._input(design.name, (value)=>design.name = value)));
+    section.appendChild(this._field('Engine', this._select([''].concat(engines), design.engine, (value)=>design.engine = value)));
+    section.appendChild(this._field('Charset', this._select([''].concat(charsets), design.charset, (value)=>{
+      let preferred = collations.find((collation)=>collation.charset === value && collation.isDefault);
+
+      design.charset = value;
+      design.collation = preferred ? preferred.name : '';
+      collationSelect.replaceWith(collationSelect = this._select(collationOptions(), design.collation, (name)=>design.collation = name));
+    })));
+    section.appendChild(this._field(
+      'Collation',
+      collationSelect = this._select(collationOptions(), design.collation, (value)=>design.collation = value),
+      'Default of the new columns. Existing columns keep their own'
+    ));
+    section.appendChild(this._field('Comment', this._input(design.comment, (value)=>design.comment = value)));
+
+    return section;
+  }
+
+  _columnsSection(design, render, onRename) {
+    return this._grid(
+      'Columns',
+      'Add column',
+      ['Name', 'Type', 'Null', 'Default', 'A_I', 'Comment'],
+      design.columns,
+      (column)=>[
+        this._input(column.name, ()=>{}, (value)=>onRename(column, value.trim())),
+        this._input(column.type, (value)=>column.type = value.trim()),
+        this._checkbox(column.nullable, (value)=>column.nullable = value),
+        this._input(column.defaultValue, (value)=>column.defaultValue = value.trim(), undefined, "'text', 0, NULL, CURRENT_TIMESTAMP"),
+        this._checkbox(column.autoIncrement, (value)=>column.autoIncrement = value),
+        this._input(column.comment, (value)=>column.comment = value),
+      ],
+      ()=>({name: '', original: '', type: 'VARCHAR(255)', nullable: true, defaultValue: '', autoIncrement: false, comment: ''}),
+      render,
+      (column)=>{
+        // a removed column leaves its indexes and foreign keys
+        design.indexes.concat(design.foreignKeys).forEach((item)=>{
+          item.columns = item.columns.filter((name)=>name.replace(/\(\d+\)$/, '') !== column.name);
+        });
+      }
+    );
+  }
+
+  _indexesSection(design, render) {
+    return this._grid(
+      'Indexes',
+      'Add index',
+      ['Name', 'Kind', 'Columns'],
+      design.indexes,
+      (index)=>[
+        this._input(index.name, (value)=>index.name = value.trim()),
+        this._select(INDEX_KIND, index.kind, (value)=>{
+          let wasPrimary = index.name === 'PRIMARY';
+
+          index.kind = value;
+
+          if (value === 'PRIMARY' || wasPrimary) {
+            index.name = value === 'PRIMARY' ? 'PRIMARY' : '';
+            render();
+          }
+        }),
+        this._input(index.columns.join(', '), (value)=>index.columns = this._list(value), undefined, 'name, email(20)'),
+      ],
+      ()=>({name: '', kind: 'INDEX', columns: []}),
+      render
+    );
+  }
+
+  _foreignKeysSection(design, {schema}, render) {
+    return this._grid(
+      'Foreign keys',
+      'Add foreign key',
+      ['Name', 'Columns', 'Referenced schema', 'Referenced table', 'Referenced columns', 'On update', 'On delete'],
+      design.foreignKeys,
+      (foreignKey)=>[
+        this._input(foreignKey.name, (value)=>foreignKey.name = value.trim()),
+        this._input(foreignKey.columns.join(', '), (value)=>foreignKey.columns = this._list(value)),
+        this._input(foreignKey.referencedSchema, (value)=>foreignKey.referencedSchema = value.trim()),
+        this._input(foreignKey.referencedTable, (value)=>foreignKey.referencedTable = value.trim()),
+        this._input(foreignKey.referencedColumns.join(', '), (value)=>foreignKey.referencedColumns = this._list(value)),
+        this._select(REFERENCE_RULES, foreignKey.onUpdate, (value)=>foreignKey.onUpdate = value),
+        this._select(REFERENCE_RULES, foreignKey.onDelete, (value)=>foreignKey.onDelete = value),
+      ],
+      ()=>({
+        name: '', columns: [], referencedSchema: schema, referencedTable: '', referencedColumns: [], onUpdate: 'RESTRICT', onDelete: 'RESTRICT',
+      }),
+      render
+    );
+  }
+
+  /**
+   * A table with a row for each item, with buttons to add, move and remove rows
+   * @param  {string}   title
+   * @param  {string}   addText   label of the button that adds a row
+   * @param  {string[]} headers
+   * @param  {object[]} items     changed in place
+   * @param  {callable} cells     receives an item and returns the cell elements of its row
+   * @param  {callable} create    returns a new item
+   * @param  {callable} render    draws the dialog again, after rows are added, moved or removed
+   * @param  {callable} onRemove  optional. Receives the removed item
+   * @return {Element}
+   */
+  _grid(title, addText, headers, items, cells, create, render, onRemove = ()=>{}) {
+    let section = this._section(title);
+    let table = this._element('table');
+    let header = this._element('tr');
+
+    headers.concat(['']).forEach((text)=>header.appendChild(this._element('th', undefined, undefined, text)));
+    table.appendChild(header);
+
+    items.forEach((item, index)=>{
+      let row = this._element('tr');
+      let move = (offset)=>{
+        items.splice(index, 1);
+        items.splice(index + offset, 0, item);
+        render();
+      };
+
+      cells(item).forEach((cell)=>row.appendChild(this._element('td')).appendChild(cell));
+
+      let actions = row.appendChild(this._element('td', 'mariadb-table-designer-actions'));
+      actions.appendChild(this._button('↑', ()=>move(-1))).disabled = index === 0;
+      actions.appendChild(this._button('↓', ()=>move(1))).disabled = index === items.length - 1;
+      actions.appendChild(this._button('✕', ()=>{
+        items.splice(index, 1);
+        onRemove(item);
+        render();
+      }));
+
+      table.appendChild(row);
+    });
+
+    section.appendChild(table);
+    section.appendChild(this._button(addText, ()=>{
+      items.push(create());
+      render();
+    }));
+
+    return section;
+  }
+
+  _section(title) {
+    let section = this._element('div', 'mariadb-table-designer-section');
+    section.appendChild(this._element('h3', undefined, undefined, title));
+
+    return section;
+  }
+
+  _field(title, input, tip) {
+    let row = this._element('div', 'mariadb-dialog-field');
+    row.appendChild(this._element('label', undefined, undefined, title));
+    row.appendChild(input);
+
+    if (tip) {
+      row.appendChild(this._element('div', 'text-subtle', undefined, tip));
+    }
+
+    return row;
+  }
+
+  /**
+   * @param  {string}   value
+   * @param  {callable} onInput   receives the text on every change
+   * @param  {callable} onChange  optional. Receives the text once the user leaves the input
+   * @param  {string}   placeholder
+   * @return {Element}
+   */
+  _input(value, onInput, onChange, placeholder) {
+    let input = this._element('input', 'input-text', 'native-key-bindings');
+    input.type = 'text';
+    input.value = value || '';
+    input.placeholder = placeholder || '';
+    input.addEventListener('input', ()=>onInput(input.value));
+
+    if (onChange) {
+      input.addEventListener('change', ()=>onChange(input.value));
+    }
+
+    return input;
+  }
+
+  _checkbox(checked, onChange) {
+    let input = this._element('input', 'input-checkbox');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', ()=>onChange(input.checked));
+
+    return input;
+  }
+
+  _select(values, value, onChange) {
+    let select = this._element('select', 'input-select');
+
+    values.forEach((option)=>{
+      let item = this._element('option', undefined, undefined, option || '(default)');
+      item.value = option;
+      item.selected = option === value;
+      select.appendChild(item);
+    });
+
+    select.addEventListener('change', ()=>onChange(select.value));
+
+    return select;
+  }
+
+  _button(text, onClick, cssClass) {
+    let button = this._element('button', 'btn', cssClass, text);
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+
+  _list(text) {
+    return text.split(',').map((item)=>item.trim()).filter((item)=>item.length > 0);
+  }
+
+  _element(tag, cssClass, otherClass, text) {
+    let element = document.createElement(tag);
+
+    [cssClass, otherClass].filter((name)=>name).forEach((name)=>element.classList.add(name));
+
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+
+    return element;
+  }
+}
+
+export default new TableDesignerDialog();
@@ -0,0 +1,35 @@
+'use babel';
+
+import {default as ResultSet} from '../dataModel/result-set';
+import {columnDetails} from '../domain/field-type';
+
+/**
+ * Converts a driver response (rows or OkPacket) into a ResultSet
+ * @param  {object} results the response from connection.query
+ * @param  {string} query   optional query to be filled in the query area
+ * @return {ResultSet}
+ */
+export default function toResultSet(results, query) {
+  if (results.constructor.name === 'OkPacket') {
+    return new ResultSet({
+      query: query,
+      recordsAffected: results.affectedRows
+    });
+  }
+
+  if (Array.isArray(results[0])) {
+    results = results[0];
+  }
+
+  let meta = results.meta || [];
+  let fieldNames = results.length > 0 ? Object.keys(results[0]) : meta.map((f)=>f.name());
+
+  return new ResultSet({
+    columns: fieldNames.map((name, i)=>{
+      return meta[i] ? Object.assign({name: name}, columnDetails(meta[i])) : {name: name, type: undefined};
+    }),
+    data: results.map((r)=>Object.values(r)),
+    query: query,
+    grammar: 'source.sql',
+  });
+}
@@ -0,0 +1,303 @@
+'use babel';
+
+import {CompositeDisposable, Emitter} from 'atom';
+
+// ServerStatus.STATUS_IN_TRANS, as sent by the server after every statement
+const STATUS_IN_TRANS = 1;
+
+/**
+ * Connections pinned to editors. A pinned editor runs its queries always on the same connection, so session
+ * variables and temporary tables are kept between runs. On manual transaction mode autocommit is also disabled,
+ * so the changes are only kept after a COMMIT. The connection stays pinned until the mode is turned off
+ * or the editor is closed; uncommitted work is rolled back in both cases.
+ */
+class TransactionSessions {
+  constructor() {
+    this.sessions = new Map();
+    this.tile = undefined;
+    this.subscriptions = new CompositeDisposable();
+    this.emitter = new Emitter();
+  }
+
+  /**
+   * @param  {TextEditor} editor
+   * @return {boolean}    true when the editor has its own connection
+   */
+  isPinned(editor) {
+    return editor !== undefined && this.sessions.has(editor);
+  }
+
+  /**
+   * @param  {TextEditor} editor
+   * @return {boolean}    true when the editor is on manual transaction mode
+   */
+  isManual(editor) {
+    return this.isPinned(editor) && this.sessions.get(editor).manual;
+  }
+
+  /**
+   * Pins a connection to the editor, keeping autocommit on. Nothing changes when it is already pinned
+   * @param {TextEditor} editor
+   */
+  pin(editor) {
+    if (!this.isPinned(editor)) {
+      let subscription = editor.onDidDestroy(()=>this._close(editor, true));
+
+      this.sessions.set(editor, {connection: undefined, connectionName: undefined, manual: false, subscription});
+      this.subscriptions.add(subscription);
+      this.updateIndicator();
+    }
+  }
+
+  /**
+   * @param  {TextEditor} editor
+   * @param  {string}     connectionName  Reference for the user's connection
+   * @return {Connection} the connection pinned to the editor for this connection name, if any
+   */
+  pinnedConnection(editor, connectionName) {
+    let session = this.sessions.get(editor);
+
+    return session && session.connectionName === connectionName && session.connection && session.connection.isValid()
+      ? session.connection
+      : undefined;
+  }
+
+  /**
+   * @param  {string}  connectionName  Reference for the user's connection
+   * @return {boolean} true when an editor holds a connection of this connection name
+   */
+  hasConnection(connectionName) {
+    return Array.from(this.sessions.values()).some((session)=>session.connection !== undefined && session.connectionName === connectionName);
+  }
+
+  /**
+   * @param  {callable}   callback  receives the connection name once a pinned connection is back on its pool
+   * @return {Disposable}
+   */
+  onDidRelease(callback) {
+    return this.emitter.on('did-release', callback);
+  }
+
+  /**
+   * @param  {TextEditor} editor
+   * @return {boolean}    true when the pinned connection has a transaction that was not committed or rolled back
+   */
+  inTransaction(editor) {
+    let session = this.sessions.get(editor);
+
+    return session !== undefined && session.connection !== undefined && (session.connection.info.status & STATUS_IN_TRANS) !== 0;
+  }
+
+  /**
+   * Turns the manual transaction mode on or off for the editor. Turning it off also unpins the connection.
+   * It can't be turned off while a transaction is open, so the user decides between commit and rollback.
+   * @param {TextEditor} editor
+   */
+  toggle(editor) {
+    if (!editor) {
+      return;
+    }
+
+    if (!this.isManual(editor)) {
+      let session = undefined;
+
+      this.pin(editor);
+      session = this.sessions.get(editor);
+      session.manual = true;
+
+      if (session.connection) {
+        session.connection.query('SET autocommit = 0').catch((err)=>{
+          atom.notifications.addError('MariaDB - Failed to disable autocommit', {detail: err.message || err, dismissable: true});
+        });
+      }
+    } else if (this.inTransaction(editor)) {
+      atom.notifications.addWarning('MariaDB - Transaction still open', {
+        detail: 'Commit or roll back the transaction before leaving the manual transaction mode.',
+        dismissable: true
+      });
+      return;
+    } else {
+      this._close(editor, false);
+    }
+
+    this.updateIndicator();
+  }
+
+  /**
+   * Releases the connection pinned to the editor, leaving the manual transaction mode when it is on
+   * @param {TextEditor} editor
+   */
+  unpin(editor) {
+    if (this.isManual(editor)) {
+      this.toggle(editor);
+    } else {
+      this._close(editor, false);
+    }
+  }
+
+  /**
+   * The connection pinned to the editor, taken from the pool on the first use (with autocommit disabled on manual transaction mode).
+   * @param  {TextEditor} editor
+   * @param  {string}     connectionName  Reference for the user's connection
+   * @param  {Pool}       pool
+   * @return {Promise}    resolves with the connection. It must not be released by the caller
+   */
+  getConnection(editor, connectionName, pool) {
+    let session = this.sessions.get(editor);
+
+    if (session.connection && session.connectionName === connectionName && session.connection.isValid()) {
+      return Promise.resolve(session.connection);
+    }
+
+    if (session.connection && this.inTransaction(editor) && session.connection.isValid()) {
+      return Promise.reject(`A transaction is open on ${session.connectionName}. Commit or roll it back before using another connection on this editor.`);
+    }
+
+    if (session.connection) {
+      if (!session.connection.isValid()) {
+        atom.notifications.addWarning('MariaDB - Transaction connection lost', {
+          detail: `The connection to ${session.connectionName} was closed, uncommitted changes were discarded by the server.`,
+          dismissable: true
+        });
+      }
+
+      this._release(session);
+    }
+
+    return pool.getConnection().then((connection)=>(session.manual ? connection.query('SET autocommit = 0') : Promise.resolve()).then(()=>{
+      Object.assign(session, {connection, connectionName});
+      this.updateIndicator();
+
+      return connection;
+    }, (err)=>{
+      connection.release();
+      throw err;
+    }));
+  }
+
+  commit(editor) {
+    this._finish(editor, 'commit', 'Transaction committed');
+  }
+
+  rollback(editor) {
+    this._finish(editor, 'rollback', 'Transaction rolled back');
+  }
+
+  _finish(editor, method, message) {
+    let session = this.sessions.get(editor);
+
+    if (!session || !session.connection) {
+      atom.notifications.addInfo('MariaDB - No transaction', {detail: 'This editor has no open transaction.'});
+      return;
+    }
+
+    session.connection[method]().then(()=>{
+      atom.notifications.addSuccess(`MariaDB - ${message}`, {detail: session.connectionName});
+      this.updateIndicator();
+    }).catch((err)=>{
+      atom.notifications.addError(`MariaDB - ${method} failed`, {detail: err.message || err, dismissable: true});
+    });
+  }
+
+  /**
+   * Ends the editor session, rolling back what was not committed
+   * @param  {TextEditor} editor
+   * @param  {boolean}    warn    notifies the user when there was a transaction to roll back
+   * @return {Promise}            resolves once the connection is back on its pool
+   */
+  _close(editor, warn) {
+    let session = this.sessions.get(editor);
+
+    if (!session) {
+      return Promise.resolve();
+    }
+
+    if (warn && this.inTransaction(editor)) {
+      atom.notifications.addWarning('MariaDB - Uncommitted transaction rolled back', {
+        detail: `The editor was closed with an open transaction on ${session.connectionName}.`,
+        dismissable: true
+      });
+    }
+
+    this.sessions.delete(editor);
+    this.subscriptions.remove(session.subscription);
+    session.subscription.dispose();
+
+    let released = this._release(session);
+
+    this.updateIndicator();
+
+    return released;
+  }
+
+  /**
+   * @return {Promise} resolves once the connection is back on its pool
+   */
+  _release(session) {
+    let connection = session.connection;
+    let connectionName = session.connectionName;
+
+    session.connection = undefined;
+
+    if (!connection) {
+      return Promise.resolve();
+    }
+
+    // releasing also resets the session on the server, but the rollback makes the intention explicit
+    return connection.rollback().catch(()=>{}).then(()=>connection.release()).catch(()=>{})
+      .then(()=>this.emitter.emit('did-release', connectionName));
+  }
+
+  /**
+   * Adds the indicator of the active editor mode to the status bar
+   * @param {StatusBar} statusBar  the status-bar service
+   */
+  attachStatusBar(statusBar) {
+    let element = document.createElement('span');
+
+    element.classList.add('mariadb-transaction-status', 'inline-block');
+    this.tile = statusBar.addRightTile({item: element, priority: 100});
+    this.subscriptions.add(atom.workspace.onDidChangeActiveTextEditor(()=>this.updateIndicator()));
+    this.updateIndicator();
+  }
+
+  /**
+   * Shows whether the active editor is on manual transaction mode and if it has an open transaction
+   */
+  updateIndicator() {
+    if (!this.tile) {
+      return;
+    }
+
+    let editor = atom.workspace.getActiveTextEditor();
+    let element = this.tile.getItem();
+    let session = this.sessions.get(editor);
+
+    element.classList.toggle('text-warning', this.inTransaction(editor));
+    element.textContent = !session ? '' : (
+      this.inTransaction(editor) ? `MariaDB: transaction open on ${session.connectionName}` : (
+        session.manual ? 'MariaDB: manual commit' : `MariaDB: pinned session${session.connectionName ? ' on ' + session.connectionName : ''}`
+      )
+    );
+  }
+
+  /**
+   * Rolls back and releases every pinned connection
+   * @return {Promise} resolves once every connection is back on its pool
+   */
+  dispose() {
+    let released = Promise.all(Array.from(this.sessions.keys()).map((editor)=>this._close(editor, false)));
+
+    this.subscriptions.dispose();
+    this.subscriptions = new CompositeDisposable();
+
+    if (this.tile) {
+      this.tile.destroy();
+      this.tile = undefined;
+    }
+
+    return released;
+  }
+}
+
+export default new TransactionSessions();
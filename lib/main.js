@@ -1,18 +1,116 @@
 'use babel';
 
+import {CompositeDisposable} from 'atom';
 import MariaDbEngine from './mariadb-engine';
 import {default as pkgMngr, PKG_STATUS} from './helper/package-manager';
+import transactions from './helper/transaction-sessions';
+import completionProvider from './helper/completion-provider';
+import dialog from './helper/dialog';
+import resultText from './helper/result-text';
+import {default as ResultSet} from './dataModel/result-set';
 
 /**
  * The main file is responsible for initialize and subscribe this plugin to the dbex atom module
  */
 export default {
+  subscriptions: null,
+  engines: [],
+
   activate() {
     const dbexCoreStatus = pkgMngr.packageStatus('dbex');
 
     if (dbexCoreStatus === PKG_STATUS.notPresent || dbexCoreStatus === PKG_STATUS.disabled) {
       pkgMngr.enablePackage('dbex', true, 'Dbex Package Dependency');
     }
+
+    this.subscriptions = new CompositeDisposable();
+    this.subscriptions.add(atom.commands.add('atom-text-editor', {
+      'atom-dbex-mariadb:toggle-manual-transaction': ()=>transactions.toggle(atom.workspace.getActiveTextEditor()),
+      'atom-dbex-mariadb:commit': ()=>transactions.commit(atom.workspace.getActiveTextEditor()),
+      'atom-dbex-mariadb:rollback': ()=>transactions.rollback(atom.workspace.getActiveTextEditor()),
+      'atom-dbex-mariadb:unpin-connection': ()=>transactions.unpin(atom.workspace.getActiveTextEditor()),
+      'atom-dbex-mariadb:explain': ()=>this.explain(atom.workspace.getActiveTextEditor(), false),
+      'atom-dbex-mariadb:explain-analyze': ()=>this.explain(atom.workspace.getActiveTextEditor(), true),
+    }));
+    this.subscriptions.add(atom.commands.add('atom-workspace', {
+      'atom-dbex-mariadb:connect': ()=>this.pickConnection('Connect', (engine)=>engine.getKnownConnections().filter(
+        (name)=>!engine.getOpenConnections().includes(name)
+      )).then((picked)=>picked && picked.engine.connect(picked.connectionName, undefined, (error)=>{
+        if (error) {
+          atom.notifications.addError(`MariaDB - Failed to connect to ${picked.connectionName}`, {detail: error.message || error, dismissable: true});
+        }
+      })),
+      'atom-dbex-mariadb:disconnect': ()=>this.pickConnection('Disconnect', (engine)=>engine.getOpenConnections()).then(
+        (picked)=>picked && picked.engine.disconnect(picked.connectionName)
+      ),
+      'atom-dbex-mariadb:disconnect-all': ()=>this.engines.forEach((engine)=>engine.disconnectAll()),
+    }));
+  },
+
+  deactivate() {
+    if (this.subscriptions) {
+      this.subscriptions.dispose();
+      this.subscriptions = null;
+    }
+
+    // pinned transactions are rolled back before their pools are ended
+    return transactions.dispose().then(()=>Promise.all(this.engines.map((engine)=>engine.dispose()))).then(()=>{
+      this.engines = [];
+    });
+  },
+
+  /**
+   * Asks for one of the connections listed by the engines
+   * @param  {string}   title        dialog title
+   * @param  {callable} connections  receives an engine and returns its connection names to be listed
+   * @return {Promise}               resolves with {engine, connectionName} or undefined when there is nothing to pick or it is cancelled
+   */
+  pickConnection(title, connections) {
+    let options = [];
+
+    this.engines.forEach((engine)=>connections(engine).forEach((connectionName)=>options.push({engine, connectionName})));
+
+    if (options.length === 0) {
+      atom.notifications.addInfo(`MariaDB - ${title}`, {detail: 'There are no connections to be listed.'});
+      return Promise.resolve(undefined);
+    }
+
+    return dialog.ask(
+      `${title} MariaDB connection`,
+      [
+        {id: 'index', title: 'Connection', type: 'select', value: '0', options: options.map(
+          (option, index)=>({value: String(index), title: option.connectionName})
+        )},
+      ],
+      title
+    ).then((values)=>values ? options[parseInt(values.index, 10)] : undefined);
+  },
+
+  /**
+   * Shows the plan of the selected statement (or of the one under the cursor) on a new editor.
+   * It runs on the connection the editor last ran a query on; otherwise one of the open connections is asked.
+   * @param {TextEditor} editor
+   * @param {boolean}    analyze  ANALYZE FORMAT=JSON instead of EXPLAIN FORMAT=JSON
+   */
+  explain(editor, analyze) {
+    let query = editor.getSelectedText() || editor.getText();
+    let source = completionProvider.connectionOf(editor);
+
+    (source ? Promise.resolve(source) : this.pickConnection('Explain on', (engine)=>engine.getOpenConnections())).then((picked)=>{
+      if (!picked) {
+        return;
+      }
+
+      picked.engine.explainQuery('', query, picked.connectionName, {}, analyze, (result)=>{
+        let plan = Array.isArray(result) ? result[result.length - 1] : result;
+
+        if (plan instanceof ResultSet) {
+          atom.workspace.open().then((planEditor)=>planEditor.setText(`${plan.query}\n\n${resultText(plan)}`));
+        } else if (typeof result === 'string') {
+          atom.notifications.addError(`MariaDB - Failed to explain the query`, {detail: result, dismissable: true});
+        }
+      });
+    }).catch((err)=>atom.notifications.addError(`MariaDB - Failed to explain the query`, {detail: err.message || err, dismissable: true}));
   },
 
   /**
@@ -20,6 +118,28 @@ export default {
    * @return {callable} a callable instance of the engine
    */
   subscribePlugin() {
-    return (logger)=>new MariaDbEngine(logger);
+    return (logger)=>{
+      let engine = new MariaDbEngine(logger);
+
+      this.engines.push(engine);
+
+      return engine;
+    };
+  },
+
+  /**
+   * shows the manual transaction indicator on the status bar
+   * @param {StatusBar} statusBar  the status-bar service
+   */
+  consumeStatusBar(statusBar) {
+    transactions.attachStatusBar(statusBar);
+  },
+
+  /**
+   * provides the sql completions to autocomplete-plus
+   * @return {CompletionProvider}
+   */
+  provideAutocomplete() {
+    return completionProvider;
   },
 };
@@ -1,19 +1,54 @@
 'use babel';
 
+import {CompositeDisposable} from 'atom';
 import ConnectionSettings from './dataModel/connection-settings';
 import FieldConnection from './dataModel/field-connection';
-import {default as ResultSet} from './dataModel/result-set';
 import mariadb from 'mariadb';
+import fs from 'fs';
 import database from './domain/database';
 import table from './domain/table';
 import view from './domain/view';
 import func from './domain/func';
 import proc from './domain/proc';
 import trigger from './domain/trigger';
+import constraint from './domain/constraint';
 import generalEvents from './domain/general-events';
-import fieldType from './domain/field-type';
+import {default as script, ER_QUERY_INTERRUPTED} from './domain/script';
+import splitStatements from './helper/sql-splitter';
+import toResultSet from './helper/to-result-set';
+import Progress from './helper/progress';
+import isChecked from './helper/is-checked';
+import SshTunnel from './helper/ssh-tunnel';
+import dialog from './helper/dialog';
+import dump from './domain/dump';
+import restore from './domain/restore';
+import {default as sql, inline, quoteId} from './helper/sql';
+import BrowseState from './dataModel/browse-state';
+import {default as ResultSet, TYPE} from './dataModel/result-set';
+import dataEditor from './domain/data-editor';
+import dataEditorDialog from './helper/data-editor-dialog';
+import schemaDiff from './domain/schema-diff';
+import openSqlEditor from './helper/editor';
+import queryPlan from './domain/query-plan';
+import {default as processList, KILL_TYPE} from './domain/process-list';
+import transactions from './helper/transaction-sessions';
+import {default as account, PRIVILEGES} from './domain/account';
+import {default as serverVariables, SCOPE} from './domain/server-variables';
+import metadata from './domain/metadata';
+import completionProvider from './helper/completion-provider';
+import MetadataCache from './helper/metadata-cache';
+import queryHistory from './domain/query-history';
+import {default as savedQueries, SCHEMA_PLACEHOLDER} from './domain/saved-queries';
+import {default as sqlTemplate, TEMPLATE} from './domain/sql-template';
+import tableDesigner from './domain/table-designer';
+import tableDesignerDialog from './helper/table-designer-dialog';
 
 const POOL_NOT_EXIST = 'Pool Not Exist';
+// statements that change the structure, so the cached metadata of the connection is dropped after them
+const DDL_STATEMENT = /^(\s|--[^\n]*\n|#[^\n]*\n|\/\*[\s\S]*?\*\/)*(CREATE|ALTER|DROP|RENAME)\b/i;
+const BROKEN_POOL_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ER_GET_CONNECTION_TIMEOUT', 'ER_SOCKET_UNEXPECTED_CLOSE'];
+// how often an ended pool is checked for connections still in use, before its ssh tunnel is closed
+const RELEASE_CHECK_INTERVAL = 1000;
 
 /**
  * Sample Engine exemplifies the essential methods that a custom dbex engine
@@ -26,7 +61,28 @@ export default class MariaDbEngine {
   constructor(logger) {
     this.logger = logger;
     this.pools = {};
+    this.stalePools = {};
+    this.connections = {};
+    this.connecting = {};
     this.running = {};
+    this.browsing = {};
+    this.processFilters = {};
+    this.variableFilters = {};
+    this.statusSnapshots = {};
+    this.historySearch = {};
+    this.metadataCache = new MetadataCache();
+    this.subscriptions = new CompositeDisposable();
+
+    // pools are created with these settings, so the new values are used from the next connection on
+    this.subscriptions.add(atom.config.onDidChange('atom-dbex-mariadb.metadataCacheTtl', ()=>this.metadataCache.clear()));
+    ['poolSize', 'idleTimeout'].forEach((setting)=>this.subscriptions.add(
+      atom.config.onDidChange(`atom-dbex-mariadb.${setting}`, ()=>Object.keys(this.pools).forEach((connectionName)=>this._endPool(connectionName)))
+    ));
+    this.subscriptions.add(transactions.onDidRelease((connectionName)=>{
+      if (!transactions.hasConnection(connectionName)) {
+        this._endStalePools(connectionName);
+      }
+    }));
   }
 
   /**
@@ -74,7 +130,18 @@ export default class MariaDbEngine {
         new FieldConnection({id: 'user', title: "User"}),
         new FieldConnection({id: 'password', title: "Password"}),
         new FieldConnection({id: 'database', title: "Database", tip: "Optional"}),
-        // new FieldConnection({id: 'ssl', title: "Use SSL", tip: "Default is to not use", isBool:true}),
+        new FieldConnection({id: 'ssl', title: "Use SSL", tip: "Default is to not use", isBool:true}),
+        new FieldConnection({id: 'sslCa', title: "SSL CA file", tip: "Optional. Path to the certificate authority file (PEM)"}),
+        new FieldConnection({id: 'sslCert', title: "SSL client certificate file", tip: "Optional. Path to the client certificate file (PEM)"}),
+        new FieldConnection({id: 'sslKey', title: "SSL client key file", tip: "Optional. Path to the client private key file (PEM)"}),
+        new FieldConnection({id: 'sslVerifyServerCert', title: "Verify server certificate", tip: "Rejects servers whose certificate is not signed by a trusted CA", isBool:true}),
+        new FieldConnection({id: 'sslMinVersion', title: "SSL minimum TLS version", tip: "Optional. TLSv1, TLSv1.1, TLSv1.2 or TLSv1.3"}),
+        new FieldConnection({id: 'sshHost', title: "SSH host", tip: "Optional. Bastion host used to tunnel the connection. Host and Port above are resolved by this server"}),
+        new FieldConnection({id: 'sshPort', title: "SSH port", tip: "Default is 22"}),
+        new FieldConnection({id: 'sshUser', title: "SSH user"}),
+        new FieldConnection({id: 'sshPassword', title: "SSH password", tip: "Optional when a private key is used"}),
+        new FieldConnection({id: 'sshPrivateKey', title: "SSH private key file", tip: "Optional. Path to the private key file"}),
+        new FieldConnection({id: 'sshPassphrase', title: "SSH key passphrase", tip: "Optional"}),
       ]
     });
   }
@@ -93,34 +160,138 @@ export default class MariaDbEngine {
       this._connect(ccf).then((pool)=>{
         pool.getConnection().then(
           (connection)=>{
-            onConnect("success");
-            connection.release();
+            connection.query(`SHOW SESSION STATUS WHERE Variable_name IN ('Ssl_version', 'Ssl_cipher')`).then((results)=>{
+              let status = {};
+
+              results.forEach((record)=>status[record.Variable_name] = record.Value);
+
+              onConnect(
+                status.Ssl_cipher
+                  ? `success - encrypted with ${status.Ssl_version} (${status.Ssl_cipher})`
+                  : "success - connection is not encrypted"
+              );
+            }).catch(()=>{
+              onConnect("success");
+            }).finally(()=>{
+              connection.release();
+              pool.end().catch(()=>{});
+            });
           }
         ).catch(err=>{
-          onFail(err || "Failed to connect");
+          pool.end().catch(()=>{});
+          onFail(`Database connection failed: ${err.message || err || "unknown error"}`);
           return;
         });
+      }).catch(err=>{
+        onFail(err.message || err);
       });
     } else {
       onFail("Some necessary fields are not filled. Please check again");
     }
   }
 
+  /**
+   * Creates a pool for the connection fields. When a ssh host is given, a tunnel is opened first and
+   * it is owned by the pool: ending the pool also closes the tunnel.
+   * @param  {object}  connectionFields  fields provided on getConnectionSettings
+   * @return {Promise}                   resolves with the pool
+   */
   _connect(connectionFields) {
     return new Promise((resolve) => {
+      resolve(this._sslOptions(connectionFields));
+    }).then((ssl)=>this._openTunnel(connectionFields).then((tunnel)=>{
       let config = {
-        host: connectionFields.host,
+        host: tunnel ? tunnel.localHost : connectionFields.host,
         user: connectionFields.user,
         password: connectionFields.password,
-        port: connectionFields.port,
+        port: tunnel ? tunnel.localPort : connectionFields.port,
         database: connectionFields.database || "",
-        multipleStatements: false
+        ssl: ssl,
+        multipleStatements: false,
+        connectionLimit: atom.config.get('atom-dbex-mariadb.poolSize'),
+        idleTimeout: atom.config.get('atom-dbex-mariadb.idleTimeout'),
       }
 
-      resolve(mariadb.createPool(config));
+      let pool = mariadb.createPool(config);
+
+      // a statement can't be stopped from its own connection, and a busy pool would only give another one once it ends
+      pool.killQuery = (threadId)=>mariadb.createConnection(config).then(
+        (connection)=>connection.query(sql`KILL QUERY ${threadId}`).finally(()=>connection.destroy())
+      );
+
+      if (tunnel) {
+        let endPool = pool.end;
+
+        // ending a pool only closes its idle connections, the ones in use keep the tunnel until they are released
+        pool.end = ()=>endPool.call(pool).finally(()=>{
+          this._released(pool).then(()=>tunnel.close());
+        });
+      }
+
+      return pool;
+    }));
+  }
+
+  /**
+   * @param  {Pool}    pool  an ended pool
+   * @return {Promise} resolves once none of its connections is in use
+   */
+  _released(pool) {
+    return new Promise((resolve)=>{
+      let check = ()=>pool.activeConnections() === 0 ? resolve() : setTimeout(check, RELEASE_CHECK_INTERVAL);
+
+      check();
     });
   }
 
+  /**
+   * @param  {object}  connectionFields  fields provided on getConnectionSettings
+   * @return {Promise}                   resolves with an open SshTunnel or undefined when no ssh host is set
+   */
+  _openTunnel(connectionFields) {
+    if (!connectionFields.sshHost || connectionFields.sshHost.length === 0) {
+      return Promise.resolve(undefined);
+    }
+
+    let tunnel = new SshTunnel(
+      {
+        host: connectionFields.sshHost,
+        port: connectionFields.sshPort,
+        user: connectionFields.sshUser,
+        password: connectionFields.sshPassword,
+        privateKey: connectionFields.sshPrivateKey,
+        passphrase: connectionFields.sshPassphrase,
+      },
+      connectionFields.host,
+      connectionFields.port,
+      (message)=>this.logger.log(message)
+    );
+
+    return tunnel.open();
+  }
+
+  /**
+   * Builds the tls options from the connection fields. Certificate files are read from the disk,
+   * so an unreadable file rejects the connection with the file system error.
+   * @param  {object} connectionFields  fields provided on getConnectionSettings
+   * @return {object|undefined}         tls options for the driver or undefined when ssl is not enabled
+   */
+  _sslOptions(connectionFields) {
+    if (!isChecked(connectionFields.ssl)) {
+      return undefined;
+    }
+
+    let readFile = (path)=>path && path.length > 0 ? fs.readFileSync(path) : undefined;
+
+    return {
+      ca: readFile(connectionFields.sslCa),
+      cert: readFile(connectionFields.sslCert),
+      key: readFile(connectionFields.sslKey),
+      rejectUnauthorized: isChecked(connectionFields.sslVerifyServerCert),
+      minVersion: connectionFields.sslMinVersion || undefined,
+    };
+  }
+
   /**
    * Resolve double clicks from dbex.
    * This methos is called when the user clicks any element under this engine settings.
@@ -132,17 +303,63 @@ export default class MariaDbEngine {
     let command = undefined;
 
     if (datasets.database && datasets.database.length > 0) {
-      command = (connection)=>database.getTopics(connection, datasets.database, onDone, this.logger);
+      command = (connection)=>database.getTopics(
+        connection,
+        datasets.database,
+        (topics)=>onDone(Array.isArray(topics) ? topics.concat(
+          savedQueries.getSavedQueriesNode(savedQueries.list(connectionName, datasets.database), datasets.database)
+        ) : topics),
+        this.logger
+      );
     } else if (datasets.host && datasets.user) {
-      command = (connection)=>database.getSchemas(connection, onDone, this.logger);
+      command = (connection)=>database.getSchemas(
+        connection,
+        (schemas)=>onDone(Array.isArray(schemas) ? schemas.concat(
+          processList.getProcessesNode([], this._processFilters(connectionName)),
+          account.getUsersNode([]),
+          serverVariables.getNodes(this._variableFilters(connectionName)),
+          queryHistory.getHistoryNode([], this.historySearch[connectionName]),
+          savedQueries.getSavedQueriesNode(savedQueries.list(connectionName), '')
+        ) : schemas),
+        this.logger
+      );
+    } else if (datasets.processes) {
+      command = (connection)=>processList.getAll(connection, this._processFilters(connectionName), onDone, this.logger);
+    } else if (datasets.processId) {
+      command = (connection)=>processList.getContent(connection, datasets.processId, onDone, this.logger);
+    } else if (datasets.accounts) {
+      command = (connection)=>account.getAll(connection, onDone, this.logger);
+    } else if (datasets.variablesScope) {
+      this._showVariables(connectionName, datasets.variablesScope, onDone);
+      return;
+    } else if (datasets.history) {
+      onDone(queryHistory.getAll(queryHistory.list(connectionName, this.historySearch[connectionName])));
+      return;
+    } else if (datasets.historyId) {
+      let entry = queryHistory.get(connectionName, datasets.historyId);
+
+      onDone(entry ? queryHistory.getContent(entry) : 'This entry is not on the history anymore');
+      return;
+    } else if (datasets.savedQueries || datasets.savedFolder) {
+      onDone(savedQueries.getAll(savedQueries.list(connectionName, datasets.savedSchema), datasets.savedSchema, datasets.savedFolder));
+      return;
+    } else if (datasets.savedQueryId) {
+      let query = savedQueries.get(connectionName, datasets.savedSchema, datasets.savedQueryId);
+
+      onDone(query ? savedQueries.getContent(query) : 'This query is not saved anymore');
+      return;
     } else if (datasets.tables) {
       command = (connection)=>table.getTables(connection, datasets.tables, onDone, this.logger);
     } else if (datasets.table) {
-      command = (connection)=>table.getContent(connection, datasets.table, onDone, this.logger);
+      let browse = this._browseState(connectionName, datasets);
+      browse.offset = 0;
+      command = (connection)=>table.getContent(connection, datasets.singleSchema, datasets.singleName, browse, onDone, this.logger);
     } else if (datasets.views) {
       command = (connection)=>view.getViews(connection, datasets.views, onDone, this.logger);
     } else if (datasets.view) {
-      command = (connection)=>view.getContent(connection, datasets.view, onDone, this.logger);
+      let browse = this._browseState(connectionName, datasets);
+      browse.offset = 0;
+      command = (connection)=>view.getContent(connection, datasets.singleSchema, datasets.singleName, browse, onDone, this.logger);
     } else if (datasets.functions) {
       command = (connection)=>func.getAll(connection, datasets.functions, onDone, this.logger);
     } else if (datasets.procedures) {
@@ -153,57 +370,326 @@ export default class MariaDbEngine {
     } else if (datasets.events) {
       command = (connection)=>generalEvents.getAll(connection, datasets.events, onDone, this.logger);
     } else if (datasets.event) {
-      command = (connection)=>generalEvents.getContent(connection, datasets.event, onDone, this.logger);
+      command = (connection)=>generalEvents.getContent(connection, datasets.schema, datasets.event, onDone, this.logger);
     }  else if (datasets.trigger) {
       command = (connection)=>trigger.getContent(connection, datasets.trigger, datasets.triggerSchema, datasets.triggerTable, onDone, this.logger);
     }
 
-    let poolCreation = ()=>{
-      this._connect(datasets).then((pool)=>{
-        pool.getConnection().then(connection=>{
-          this.pools[connectionName] = pool;
-          command(connection);
-          connection.release();
-        }).catch(err=>{
-          onDone(err || "Failed to connect");
-          return;
-        });
-      });
-    };
-
     if (command) {
+      // server state and table contents are always read again, only the structure comes from the cache
+      let cached = !(datasets.processes || datasets.processId || datasets.accounts || datasets.table || datasets.view);
+
       this._executeOnConnection(
         connectionName,
         (connection)=>{
-          command(connection);
+          command(cached ? this.metadataCache.wrap(connection, connectionName, this._metadataSchema(datasets)) : connection);
           connection.release();
         },
-        (error)=>{
-          if (error === POOL_NOT_EXIST) {
-            poolCreation();
-          } else {
-            onDone(error);
-          }
-        }
+        onDone,
+        datasets
       );
     } else {
       onDone();
     }
   }
 
-  _executeOnConnection(connectionName, onSuccess, onError) {
-    let pool = this.pools[connectionName] || undefined;
+  /**
+   * The browse state is kept for each table/view of each connection, so order and filter are remembered while browsing
+   * @param  {string} connectionName  Reference for the user's connection
+   * @param  {object} datasets        table or view node datasets
+   * @return {BrowseState}
+   */
+  _browseState(connectionName, datasets) {
+    let key = [connectionName, datasets.singleSchema, datasets.singleName].join('/');
 
-    if (pool) {
-      pool.getConnection().then(connection=>{
-        onSuccess(connection);
-      }).catch(err=>{
-        onError(err || "Failed to connect");
+    if (!this.browsing[key]) {
+      this.browsing[key] = new BrowseState({
+        pageSize: atom.config.get('atom-dbex-mariadb.browsePageSize'),
+        offset: 0,
+        direction: 'ASC',
+        countMode: atom.config.get('atom-dbex-mariadb.browseCountMode'),
+      });
+    }
+
+    return this.browsing[key];
+  }
+
+  /**
+   * Asks for page size, offset, order and filter, then shows the page with the new options
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        table or view node datasets
+   * @param  {callable} onDone          receives the page as a ResultSet
+   */
+  _browseOptions(connectionName, datasets, onDone) {
+    let domain = datasets.table ? table : view;
+    let browse = this._browseState(connectionName, datasets);
+
+    this._pool(connectionName).then((pool)=>domain.getColumnNames(pool, datasets.singleSchema, datasets.singleName)).then((columns)=>dialog.ask(
+      `Browse ${datasets.singleSchema}.${datasets.singleName}`,
+      [
+        {id: 'pageSize', title: 'Page size', value: browse.pageSize},
+        {id: 'offset', title: 'Jump to offset', value: browse.offset, tip: 'First row to show, starting on 0'},
+        {id: 'orderBy', title: 'Order by', type: 'select', value: browse.orderBy || '', options: [{value: '', title: '(none)'}].concat(
+          columns.map((column)=>({value: column, title: column}))
+        )},
+        {id: 'direction', title: 'Direction', type: 'select', value: browse.direction, options: [
+          {value: 'ASC', title: 'Ascending'},
+          {value: 'DESC', title: 'Descending'},
+        ]},
+        {id: 'where', title: 'Filter (WHERE)', value: browse.where, tip: 'Optional. Remembered for this table'},
+        {id: 'countMode', title: 'Total rows', type: 'select', value: browse.countMode, options: [
+          {value: 'estimated', title: 'Estimated from table statistics'},
+          {value: 'exact', title: 'Exact count'},
+        ]},
+      ],
+      'Browse'
+    )).then((options)=>{
+      if (!options) {
+        onDone();
         return;
+      }
+
+      Object.assign(browse, {
+        pageSize: parseInt(options.pageSize, 10) > 0 ? parseInt(options.pageSize, 10) : browse.pageSize,
+        offset: parseInt(options.offset, 10) >= 0 ? parseInt(options.offset, 10) : 0,
+        orderBy: options.orderBy || undefined,
+        direction: options.direction,
+        where: options.where,
+        countMode: options.countMode,
       });
-    } else {
-      onError(POOL_NOT_EXIST);
+
+      this._executeOnConnection(
+        connectionName,
+        (connection)=>{
+          domain.getContent(connection, datasets.singleSchema, datasets.singleName, browse, onDone, this.logger);
+          connection.release();
+        },
+        onDone
+      );
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Takes a connection from the pool. A pool that fails to give connections (network drop, server restart,
+   * closed ssh tunnel) is ended and rebuilt once before the error is reported.
+   * @param  {string}   connectionName    Reference for the user's connection
+   * @param  {callable} onSuccess         receives the connection, which must be released
+   * @param  {callable} onError           receives the error
+   * @param  {object}   connectionFields  optional. Connection node datasets, used to open (or reopen with new settings) the pool
+   */
+  _executeOnConnection(connectionName, onSuccess, onError, connectionFields) {
+    this._pool(connectionName, connectionFields).then((pool)=>pool.getConnection().catch((err)=>{
+      if (!this._isBroken(err)) {
+        throw err;
+      }
+
+      this.logger.log(`rebuilding the pool of ${connectionName}: ${err.message || err}`);
+
+      return this._endPool(connectionName).then(()=>this._pool(connectionName)).then((newPool)=>newPool.getConnection());
+    })).then(connection=>{
+      onSuccess(connection);
+    }).catch(err=>{
+      onError(err === POOL_NOT_EXIST ? err : (err.message || err || "Failed to connect"));
+      return;
+    });
+  }
+
+  /**
+   * The pool of a connection. Pools are opened on demand with the last known fields of the connection
+   * and are replaced when these fields change.
+   * @param  {string}  connectionName    Reference for the user's connection
+   * @param  {object}  connectionFields  optional. Connection node datasets; ignored when they are not the connection fields
+   * @return {Promise} resolves with the pool or rejects with POOL_NOT_EXIST when the connection fields were never given
+   */
+  _pool(connectionName, connectionFields) {
+    if (connectionFields && connectionFields.host && connectionFields.user) {
+      let fingerprint = JSON.stringify(this._poolFields(connectionFields));
+      let known = this.connections[connectionName];
+
+      if (known && known.fingerprint !== fingerprint) {
+        this.logger.log(`connection settings of ${connectionName} changed, the pool is rebuilt`);
+        this._endPool(connectionName);
+      }
+
+      this.connections[connectionName] = {fields: connectionFields, fingerprint: fingerprint};
+    }
+
+    if (this.pools[connectionName]) {
+      return Promise.resolve(this.pools[connectionName]);
+    }
+
+    if (!this.connections[connectionName]) {
+      return Promise.reject(POOL_NOT_EXIST);
+    }
+
+    if (!this.connecting[connectionName]) {
+      this.connecting[connectionName] = this._connect(this.connections[connectionName].fields).then((pool)=>{
+        delete this.connecting[connectionName];
+        this.pools[connectionName] = pool;
+
+        return pool;
+      }, (err)=>{
+        delete this.connecting[connectionName];
+        throw err;
+      });
+    }
+
+    return this.connecting[connectionName];
+  }
+
+  /**
+   * Only the fields that change the pool are compared, so a new pool is not created for unrelated datasets
+   */
+  _poolFields(connectionFields) {
+    return this.getConnectionSettings().custom.map((field)=>connectionFields[field.id]);
+  }
+
+  /**
+   * @param  {Error}   err  error given by getConnection
+   * @return {boolean} true when the pool can't reach the server anymore
+   */
+  _isBroken(err) {
+    return Boolean(err && (err.fatal || BROKEN_POOL_ERRORS.includes(err.code)));
+  }
+
+  /**
+   * Ends the pool (and its ssh tunnel) of a connection. The connection fields are kept,
+   * so the pool is opened again on the next use.
+   * A pool with connections pinned to editors is only put aside, and ended once these are released (see _endStalePools),
+   * so their transactions are not lost.
+   * @param  {string}  connectionName  Reference for the user's connection
+   * @return {Promise}
+   */
+  _endPool(connectionName) {
+    let pool = this.pools[connectionName];
+
+    delete this.pools[connectionName];
+
+    if (pool && transactions.hasConnection(connectionName)) {
+      this.logger.log(`the pool of ${connectionName} is ended once the editors pinned to it release their connections`);
+      this.stalePools[connectionName] = (this.stalePools[connectionName] || []).concat([pool]);
+
+      return Promise.resolve();
     }
+
+    return this._end(connectionName, pool);
+  }
+
+  /**
+   * Ends the pools put aside by _endPool
+   * @param  {string}  connectionName  Reference for the user's connection
+   * @return {Promise}
+   */
+  _endStalePools(connectionName) {
+    let pools = this.stalePools[connectionName] || [];
+
+    delete this.stalePools[connectionName];
+
+    return Promise.all(pools.map((pool)=>this._end(connectionName, pool)));
+  }
+
+  _end(connectionName, pool) {
+    return pool ? pool.end().catch((err)=>this.logger.log(`failed to end the pool of ${connectionName}: ${err.message || err}`)) : Promise.resolve();
+  }
+
+  /**
+   * Opens the pool of a connection, checking that the server is reachable
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        optional. Connection node datasets, the last known ones are used when not given
+   * @param  {callable} onDone          receives an error or nothing when connected
+   */
+  connect(connectionName, datasets, onDone) {
+    this._executeOnConnection(
+      connectionName,
+      (connection)=>{
+        connection.release();
+        onDone();
+      },
+      onDone,
+      datasets
+    );
+  }
+
+  /**
+   * Ends the pool of a connection. It is opened again when the connection is used
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {callable} onDone          called once the pool is ended
+   */
+  disconnect(connectionName, onDone = ()=>{}) {
+    this._endPool(connectionName).then(()=>onDone());
+  }
+
+  /**
+   * @return {string[]} names of the connections with an open pool
+   */
+  getOpenConnections() {
+    return Object.keys(this.pools);
+  }
+
+  /**
+   * @return {string[]} names of the connections used since the engine started, open or not
+   */
+  getKnownConnections() {
+    return Object.keys(this.connections);
+  }
+
+  /**
+   * @param  {string} connectionName  Reference for the user's connection
+   * @return {string} the database set on the connection, if any
+   */
+  getDefaultSchema(connectionName) {
+    let known = this.connections[connectionName];
+
+    return known && known.fields.database ? known.fields.database : undefined;
+  }
+
+  /**
+   * Schema names used by the autocomplete, read from the metadata cache
+   * @param  {string}  connectionName  Reference for the user's connection
+   * @return {Promise} resolves with the names
+   */
+  getSchemaNames(connectionName) {
+    return this._metadata(connectionName, undefined, 'completion.schemas', (connection)=>metadata.getSchemas(connection, this.logger));
+  }
+
+  /**
+   * Tables, views, columns and routines of a schema used by the autocomplete, read from the metadata cache
+   * @param  {string}  connectionName  Reference for the user's connection
+   * @param  {string}  schema
+   * @return {Promise} resolves with {tables, routines} as given by the metadata domain
+   */
+  getSchemaMetadata(connectionName, schema) {
+    return this._metadata(connectionName, schema, `completion.schema.${schema}`, (connection)=>metadata.getSchema(connection, schema, this.logger));
+  }
+
+  /**
+   * The connection is only taken from the pool when the entry is not cached
+   */
+  _metadata(connectionName, schema, key, load) {
+    return this.metadataCache.get(connectionName, schema, key, ()=>new Promise((resolve, reject)=>this._executeOnConnection(connectionName, (connection)=>{
+      load(connection).then(resolve, reject).then(()=>connection.release());
+    }, reject)));
+  }
+
+  /**
+   * Ends every pool
+   * @return {Promise}
+   */
+  disconnectAll() {
+    return Promise.all(Object.keys(this.pools).map((connectionName)=>this._endPool(connectionName)));
+  }
+
+  /**
+   * Ends every pool, the ones put aside included, and stops watching the settings.
+   * Called when the package is deactivated, once the connections pinned to editors are released
+   * @return {Promise}
+   */
+  dispose() {
+    this.subscriptions.dispose();
+
+    return Promise.all([this.disconnectAll()].concat(
+      Object.keys(this.stalePools).map((connectionName)=>this._endStalePools(connectionName))
+    ));
   }
 
   /**
@@ -216,26 +702,113 @@ export default class MariaDbEngine {
   resolveActionClick(action, connectionName, datasets, onDone) {
     let command = ()=>onDone('Action not implemented');
 
-    if (action === 'structure') {
+    if (action === 'dump') {
+      this._dump(connectionName, datasets, onDone);
+      return;
+    } else if (action === 'import') {
+      this._import(connectionName, datasets, onDone);
+      return;
+    } else if (action === 'browse-options') {
+      this._browseOptions(connectionName, datasets, onDone);
+      return;
+    } else if (action === 'edit-rows') {
+      this._editRows(connectionName, datasets, onDone);
+      return;
+    } else if (action === 'compare') {
+      this._compare(connectionName, datasets, onDone);
+      return;
+    } else if (action === 'process-filter') {
+      this._processFilter(connectionName, onDone);
+      return;
+    } else if (action === 'kill-query' || action === 'kill-connection') {
+      this._killProcess(connectionName, datasets, action === 'kill-query' ? KILL_TYPE.query : KILL_TYPE.connection, onDone);
+      return;
+    } else if (action === 'variables-filter') {
+      this._variablesFilter(connectionName, datasets.variablesScope, onDone);
+      return;
+    } else if (action === 'set-variable') {
+      this._setSessionVariable(connectionName, onDone);
+      return;
+    } else if (['create-user', 'change-password', 'grant', 'revoke', 'drop-user'].includes(action)) {
+      this._manageAccount(action, connectionName, datasets, onDone);
+      return;
+    } else if (['history-search', 'history-clear', 'history-open', 'history-run'].includes(action)) {
+      this._history(action, connectionName, datasets, onDone);
+      return;
+    } else if (['saved-add', 'saved-import', 'saved-export'].includes(action)) {
+      this._manageSavedQueries(action, connectionName, datasets, onDone);
+      return;
+    } else if (['saved-run', 'saved-open', 'saved-delete'].includes(action)) {
+      this._savedQuery(action, connectionName, datasets, onDone);
+      return;
+    } else if (action === 'sql-template') {
+      this._sqlTemplate(connectionName, datasets, onDone);
+      return;
+    } else if (action === 'design-table') {
+      this._designTable(connectionName, datasets, onDone);
+      return;
+    } else if (action === 'rename-column' || action === 'drop-column') {
+      this._alterColumn(action, connectionName, datasets, onDone);
+      return;
+    }
+
+    if (action === 'browse-next' || action === 'browse-previous') {
+      let domain = datasets.table ? table : view;
+      let browse = this._browseState(connectionName, datasets);
+      // estimated totals may be lower than the real count, so only a short page tells that there is nothing after it
+      let hasNext = browse.exact && browse.total !== undefined
+        ? browse.offset + browse.pageSize < browse.total
+        : browse.pageRows === undefined || browse.pageRows >= browse.pageSize;
+
+      if (action === 'browse-previous') {
+        browse.offset = Math.max(0, browse.offset - browse.pageSize);
+      } else if (hasNext) {
+        browse.offset += browse.pageSize;
+      }
+
+      command = (connection)=>domain.getContent(connection, datasets.singleSchema, datasets.singleName, browse, onDone, this.logger);
+    } else if (action === 'process-list') {
+      command = (connection)=>processList.getList(connection, this._processFilters(connectionName), onDone, this.logger);
+    } else if (action === 'structure') {
       if (datasets.table || datasets.view) {
         let domain = datasets.table ? table : view;
-        let structure = datasets.table ? datasets.table : datasets.view;
 
-        command = (connection)=>domain.getDataStructure(structure, connection, onDone, this.logger);
+        command = (connection)=>domain.getDataStructure(datasets.singleSchema, datasets.singleName, connection, onDone, this.logger);
       } else if (datasets.event) {
-        command = (connection)=>generalEvents.getStructure(datasets.name, connection, onDone, this.logger);
+        command = (connection)=>generalEvents.getStructure(datasets.schema, datasets.event, connection, onDone, this.logger);
       } else if (datasets.trigger) {
-        command = (connection)=>trigger.getStructure(datasets.name, connection, onDone, this.logger);
+        command = (connection)=>trigger.getStructure(datasets.triggerSchema, datasets.trigger, connection, onDone, this.logger);
       } else if (datasets.routine) {
         let routine = datasets.routineType === func.type ? func : proc;
-        command = (connection)=>routine.getStructure(datasets.name, connection, onDone, this.logger);
+        command = (connection)=>routine.getStructure(datasets.schema, datasets.routine, connection, onDone, this.logger);
+      } else if (datasets.accountUser !== undefined) {
+        command = (connection)=>account.getStructure(
+          datasets.accountUser,
+          datasets.accountHost,
+          isChecked(datasets.accountIsRole),
+          connection,
+          onDone,
+          this.logger
+        );
+      } else if (datasets.constraintType) {
+        command = (connection)=>constraint.getStructure(
+          datasets.constraintSchema,
+          datasets.constraintTable,
+          datasets.constraintType,
+          datasets.constraintName,
+          connection,
+          onDone,
+          this.logger
+        );
       }
     }
 
+    let cached = action === 'structure' && datasets.accountUser === undefined;
+
     this._executeOnConnection(
       connectionName,
       (connection)=>{
-        command(connection);
+        command(cached ? this.metadataCache.wrap(connection, connectionName, this._metadataSchema(datasets)) : connection);
         connection.release();
       },
       onDone
@@ -243,110 +816,1344 @@ export default class MariaDbEngine {
   }
 
   /**
-   * @param {string}   uuid            Can be an empty string (when the user executes a query directly from the editor)
-   * @param {string}   query           the query requested by the user
-   * @param {string}   connectionName  Reference for the user's connection
-   * @param {object}   datasets        Node datasets to support the action
-   * @param {callable} onDone          A callable used when the processing is done. onDone must return one of the following: TreeItem, TreeItem[], ResultSet
+   * @param  {object} datasets  Node datasets
+   * @return {string} the schema the node belongs to, undefined for connection wide nodes
    */
-  executeQuery(uuid, query, connectionName, datasets, onDone) {
-    this.logger.log(query);
+  _metadataSchema(datasets) {
+    return datasets.singleSchema || datasets.database || datasets.tables || datasets.views || datasets.functions
+      || datasets.procedures || datasets.events || datasets.schema || datasets.triggerSchema || datasets.constraintSchema
+      || undefined;
+  }
 
-    this.running[uuid] =  query;
+  /**
+   * Asks for the dump options and the destination file, then exports the schema (or table) on a dedicated connection
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        database or table node datasets
+   * @param  {callable} onDone          called once the dump finishes or is cancelled, with the error message when it fails
+   */
+  _dump(connectionName, datasets, onDone) {
+    let schema = datasets.table ? datasets.singleSchema : datasets.database;
+    let tableName = datasets.table ? datasets.singleName : undefined;
 
-    let command = (connection)=>{
-      connection.query(query).then((results) => {
-        if (results.constructor.name === 'OkPacket') {
-          atom.notifications.addSuccess(
-            this.getName() + "- Success!",
-            {
-              buttons: [],
-              detail: "Query successfully executed",
-              dismissable: false
-            }
-          );
+    dialog.ask(
+      `Export ${tableName ? schema + '.' + tableName : schema}`,
+      [
+        {id: 'content', title: 'Content', type: 'select', value: 'both', options: [
+          {value: 'both', title: 'Structure and data'},
+          {value: 'structure', title: 'Structure only'},
+          {value: 'data', title: 'Data only'},
+        ]},
+        {id: 'dropIfExists', title: 'Add DROP ... IF EXISTS', type: 'bool', value: true},
+        {id: 'where', title: 'Rows filter (WHERE)', tip: 'Optional. Applied to every exported table'},
+        {id: 'limit', title: 'Rows limit', tip: 'Optional. Maximum rows per table'},
+      ],
+      'Export'
+    ).then((options)=>{
+      if (!options) {
+        return undefined;
+      }
 
-          onDone(
-              new ResultSet({
-              recordsAffected: results.affectedRows
-            })
-          );
-          return
-        } else {
-          if (Array.isArray(results[0])) {
-            results = results[0];
-          }
+      return dialog.saveFile(`${tableName ? schema + '.' + tableName : schema}.sql`).then(
+        (path)=>path ? Object.assign(options, {path}) : undefined
+      );
+    }).then((options)=>{
+      let fail = (err)=>{
+        atom.notifications.addError(this.getName() + " - Export failed!", {
+          buttons: [],
+          detail: err.message || err,
+          dismissable: true
+        });
+        onDone(err.message || err);
+      };
 
-          let fieldNames = Object.keys(results[0]);
-          let fields = results.meta.map((f, i)=>Object.assign(f, {title: fieldNames[i]}));
-
-          let resultSet = new ResultSet({
-            columns: fields.map((f)=>{
-              return {
-                name: f.title,
-                type: fieldType(f.columnType)
-              };
-            }),
-            data: results.map((r)=>Object.values(r)),
-            grammar: 'source.sql',
-          });
+      if (!options) {
+        onDone();
+        return;
+      }
 
-          onDone(resultSet);
-        }
-      }).catch(err=>{
-        if (err) {
-          atom.notifications.addError(
-            this.getName() + " - Failed to run query!",
+      this._executeOnConnection(
+        connectionName,
+        (connection)=>{
+          let output = fs.createWriteStream(options.path);
+          let progress = new Progress(this.getName() + " - Exporting", `Exporting to ${options.path}`);
+          let failure = undefined;
+
+          // the pending write of the dump fails with the same error; the first one is kept for the final message
+          output.on('error', (err)=>failure = failure || err);
+
+          dump.export(
+            connection,
+            schema,
+            tableName,
             {
-              buttons: [],
-              detail: err,
-              dismissable: true
-            }
+              structure: options.content !== 'data',
+              data: options.content !== 'structure',
+              dropIfExists: options.dropIfExists,
+              where: options.where,
+              limit: options.limit,
+            },
+            output,
+            (step)=>progress.update(step),
+            (err, summary)=>{
+              connection.release();
+              progress.done();
+
+              if (err || failure) {
+                output.destroy();
+                fail(err || failure);
+                return;
+              }
+
+              // a failed output never finishes, so the last writes failing end the export too
+              output.once('error', fail);
+              output.end(()=>{
+                output.removeListener('error', fail);
+                atom.notifications.addSuccess(this.getName() + " - Export finished", {
+                  buttons: [],
+                  detail: `${summary.tables} tables and ${summary.rows} rows exported to ${options.path}`,
+                  dismissable: true
+                });
+                onDone();
+              });
+            },
+            this.logger
           );
+        },
+        fail
+      );
+    }).catch((err)=>onDone(err.message || err));
+  }
 
-          onDone();
-          return;
-        }
-      });
-    };
+  /**
+   * Asks for a dump file and the error policy, then imports the file into the schema on a dedicated connection
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        database node datasets
+   * @param  {callable} onDone          called without results when the import starts or is cancelled
+   */
+  _import(connectionName, datasets, onDone) {
+    let schema = datasets.database;
 
-    let poolCreation = ()=>{
-      this._connect(datasets).then((pool)=>{
-        pool.getConnection().then(connection=>{
-          this.pools[connectionName] = pool;
-          command(connection);
-          connection.release();
-        }).catch(err=>{
-          onDone(err || "Failed to connect");
-          return;
-        });
-      });
-    };
+    dialog.openFile([{name: 'SQL', extensions: ['sql']}, {name: 'All files', extensions: ['*']}]).then((path)=>{
+      if (!path) {
+        return undefined;
+      }
 
-    this._executeOnConnection(
-      connectionName,
-      (connection)=>{
-        command(connection);
-        connection.release();
-      },
-      (error)=>{
-        if (error === POOL_NOT_EXIST && datasets.engine) {
-          poolCreation();
-        } else {
-          onDone(error);
-        }
+      return dialog.ask(
+        `Import into ${schema}`,
+        [
+          {id: 'onError', title: 'On error', type: 'select', value: atom.config.get('atom-dbex-mariadb.stopScriptOnError') ? 'abort' : 'skip', options: [
+            {value: 'abort', title: 'Abort the import'},
+            {value: 'skip', title: 'Skip the statement and log the error'},
+          ]},
+        ],
+        'Import'
+      ).then((options)=>options ? Object.assign(options, {path}) : undefined);
+    }).then((options)=>{
+      onDone();
+
+      if (!options) {
+        return;
       }
-    )
+
+      this._executeOnConnection(
+        connectionName,
+        (connection)=>{
+          let cancelled = false;
+          let progress = new Progress(this.getName() + " - Importing", `Importing ${options.path}`, ()=>cancelled = true);
+
+          restore.import(
+            connection,
+            schema,
+            options.path,
+            {
+              stopOnError: options.onError === 'abort',
+              isCancelled: ()=>cancelled,
+            },
+            (step)=>progress.update(step),
+            (err, summary)=>{
+              // released, the next query taking this connection from the pool would run on the imported schema
+              connection.destroy();
+              progress.done();
+              this.metadataCache.invalidate(connectionName);
+
+              let detail = [
+                `${summary.statements} statements executed, ${summary.rowsAffected} rows affected.`,
+                summary.cancelled ? 'Import cancelled by the user.' : undefined,
+                summary.failures.length > 0 ? `${summary.failures.length} statements failed:` : undefined,
+              ].concat(
+                summary.failures.slice(0, 10).map((failure)=>`Line ${failure.line}: ${failure.message}`)
+              ).filter((line)=>line !== undefined).join("\n");
+
+              if (err || summary.failures.length > 0) {
+                atom.notifications.addError(this.getName() + (err ? " - Import aborted!" : " - Import finished with errors"), {
+                  buttons: [],
+                  detail: err && summary.failures.length === 0 ? `${err.message || err}\n${detail}` : detail,
+                  dismissable: true
+                });
+              } else {
+                atom.notifications.addSuccess(this.getName() + " - Import finished", {
+                  buttons: [],
+                  detail: detail,
+                  dismissable: true
+                });
+              }
+            },
+            this.logger
+          );
+        },
+        (error)=>atom.notifications.addError(this.getName() + " - Import failed!", {detail: error.message || error, dismissable: true})
+      );
+    }).catch((err)=>onDone(err.message || err));
   }
 
   /**
-   * refresh node is a right-click option for every node. It is up to your implementation to decide if it will return something or not.
+   * Asks for another schema, on this or on another open connection, and compares both structures.
+   * The migration script is opened on a new editor and the differences are returned as a ResultSet.
    * @param  {string}   connectionName  Reference for the user's connection
-   * @param  {object}   datasets        Node datasets to support the refresh
-   * @param  {callable} onDone          The onDone callback will just be processed if a TreeItem element is returned
+   * @param  {object}   datasets        database node datasets
+   * @param  {callable} onDone          receives the differences summary, an error message or nothing when cancelled
    */
-  refreshNode(connectionName, datasets, onDone) {
-    let command = (connection)=>onDone('refresh not implemented');
+  _compare(connectionName, datasets, onDone) {
+    let schema = datasets.database;
+    let connectionNames = Object.keys(this.connections);
+
+    if (!this.connections[connectionName]) {
+      onDone(POOL_NOT_EXIST);
+      return;
+    }
+
+    let pickConnection = connectionNames.length > 1
+      ? dialog.ask(
+        `Compare ${schema} with...`,
+        [
+          {id: 'connection', title: 'Connection', type: 'select', value: connectionName, tip: 'Only connections used since the editor started are listed', options:
+            connectionNames.map((name)=>({value: name, title: name}))
+          },
+        ],
+        'Next'
+      ).then((options)=>options ? options.connection : undefined)
+      : Promise.resolve(connectionName);
+
+    pickConnection.then((otherConnection)=>{
+      if (!otherConnection) {
+        return undefined;
+      }
+
+      let query = sql`SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA ORDER BY SCHEMA_NAME`;
+      this.logger.log(query.sql);
+
+      return this._pool(otherConnection).then((pool)=>pool.query(query)).then((results)=>dialog.ask(
+        `Compare ${schema} with...`,
+        [
+          {id: 'schema', title: `Schema on ${otherConnection}`, type: 'select', options: results
+            .map((record)=>record.SCHEMA_NAME)
+            .filter((name)=>otherConnection !== connectionName || name !== schema)
+            .map((name)=>({value: name, title: name}))
+          },
+          {id: 'direction', title: 'Migration script changes', type: 'select', value: 'other', options: [
+            {value: 'other', title: `the selected schema, to match ${schema}`},
+            {value: 'this', title: `${schema}, to match the selected schema`},
+          ]},
+        ],
+        'Compare'
+      )).then((options)=>options && options.schema ? Object.assign(options, {connection: otherConnection}) : undefined);
+    }).then((options)=>{
+      if (!options) {
+        onDone();
+        return;
+      }
+
+      let here = {connection: connectionName, schema: schema};
+      let there = {connection: options.connection, schema: options.schema};
+      let [source, target] = options.direction === 'this' ? [there, here] : [here, there];
+      let label = (side)=>`${quoteId(side.schema)} (${side.connection})`;
+      let progress = new Progress(this.getName() + " - Comparing", `Comparing ${label(source)} with ${label(target)}`);
+
+      return Promise.all([
+        this._pool(source.connection).then((pool)=>schemaDiff.load(pool, source.schema, this.logger)),
+        this._pool(target.connection).then((pool)=>schemaDiff.load(pool, target.schema, this.logger)),
+      ]).then(([sourceSnapshot, targetSnapshot])=>{
+        let comparison = schemaDiff.compare(sourceSnapshot, targetSnapshot);
+
+        progress.done();
+
+        if (comparison.differences.length === 0) {
+          atom.notifications.addSuccess(this.getName() + " - No differences", {
+            buttons: [],
+            detail: `${label(source)} and ${label(target)} have the same structure`,
+            dismissable: true
+          });
+          onDone();
+          return;
+        }
+
+        return openSqlEditor(schemaDiff.getScript(comparison, label(source), target.schema, label(target))).then(
+          ()=>onDone(schemaDiff.getSummary(comparison))
+        );
+      }, (err)=>{
+        progress.done();
+        throw err;
+      });
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Process list filters are kept for each connection while the engine lives
+   * @param  {string} connectionName  Reference for the user's connection
+   * @return {object} {hideSleeping, ownUser}
+   */
+  _processFilters(connectionName) {
+    if (!this.processFilters[connectionName]) {
+      this.processFilters[connectionName] = {hideSleeping: false, ownUser: false};
+    }
+
+    return this.processFilters[connectionName];
+  }
+
+  _getProcessesNode(connection, connectionName, onDone) {
+    let filters = this._processFilters(connectionName);
+
+    processList.getAll(
+      connection,
+      filters,
+      (processes)=>onDone(Array.isArray(processes) ? processList.getProcessesNode(processes, filters) : processes),
+      this.logger
+    );
+  }
+
+  /**
+   * Asks for the process list filters and sends back the Processes node listing the filtered processes
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {callable} onDone          receives the Processes TreeItem, an error or nothing when cancelled
+   */
+  _processFilter(connectionName, onDone) {
+    let filters = this._processFilters(connectionName);
+
+    dialog.ask(
+      'Filter processes',
+      [
+        {id: 'hideSleeping', title: 'Hide sleeping connections', type: 'bool', value: filters.hideSleeping},
+        {id: 'ownUser', title: 'Only processes of the connected user', type: 'bool', value: filters.ownUser},
+      ],
+      'Filter'
+    ).then((options)=>{
+      if (!options) {
+        onDone();
+        return;
+      }
+
+      Object.assign(filters, {hideSleeping: isChecked(options.hideSleeping), ownUser: isChecked(options.ownUser)});
+
+      this._executeOnConnection(
+        connectionName,
+        (connection)=>{
+          this._getProcessesNode(connection, connectionName, onDone);
+          connection.release();
+        },
+        onDone
+      );
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Kills the statement (or the whole connection) of a server process, once the user confirms it
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        process node datasets
+   * @param  {string}   type            one of KILL_TYPE
+   * @param  {callable} onDone          receives an error message or nothing
+   */
+  _killProcess(connectionName, datasets, type, onDone) {
+    dialog.confirm(
+      `Kill ${type === KILL_TYPE.query ? 'the query of' : 'the connection of'} process ${datasets.processId}?`,
+      type === KILL_TYPE.query
+        ? 'The running statement is stopped and the connection is kept.'
+        : 'The running statement is stopped and the connection is closed. Open transactions are rolled back.',
+      `Kill ${type.toLowerCase()}`
+    ).then((confirmed)=>{
+      if (!confirmed) {
+        onDone();
+        return;
+      }
+
+      return this._pool(connectionName).then((pool)=>processList.kill(pool, datasets.processId, type, this.logger)).then(()=>{
+        atom.notifications.addSuccess(this.getName() + " - Process killed", {
+          buttons: [],
+          detail: `KILL ${type} ${datasets.processId}`,
+          dismissable: false
+        });
+        onDone();
+      });
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Name filters of the variables and status nodes are kept for each connection while the engine lives
+   * @param  {string} connectionName  Reference for the user's connection
+   * @return {object} LIKE patterns for each SCOPE
+   */
+  _variableFilters(connectionName) {
+    if (!this.variableFilters[connectionName]) {
+      this.variableFilters[connectionName] = {[SCOPE.global]: '', [SCOPE.session]: '', [SCOPE.status]: ''};
+    }
+
+    return this.variableFilters[connectionName];
+  }
+
+  /**
+   * Sends back the variables or status of a connection as a ResultSet. Session variables are read from the
+   * connection pinned to the active editor when there is one, since a pool connection only has the defaults.
+   * Status deltas are calculated from the previous call for the same connection.
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {string}   scope           one of SCOPE
+   * @param  {callable} onDone          receives the ResultSet or an error
+   */
+  _showVariables(connectionName, scope, onDone) {
+    let filter = this._variableFilters(connectionName)[scope];
+    let pinned = scope === SCOPE.session ? transactions.pinnedConnection(atom.workspace.getActiveTextEditor(), connectionName) : undefined;
+
+    if (pinned) {
+      serverVariables.getVariables(pinned, scope, filter, onDone, this.logger);
+      return;
+    }
+
+    this._executeOnConnection(
+      connectionName,
+      (connection)=>{
+        if (scope === SCOPE.status) {
+          serverVariables.getStatus(connection, filter, this.statusSnapshots[connectionName], (result, snapshot)=>{
+            if (snapshot) {
+              this.statusSnapshots[connectionName] = snapshot;
+            }
+
+            onDone(result);
+          }, this.logger);
+        } else {
+          serverVariables.getVariables(connection, scope, filter, onDone, this.logger);
+        }
+
+        connection.release();
+      },
+      onDone
+    );
+  }
+
+  _variablesFilter(connectionName, scope, onDone) {
+    let filters = this._variableFilters(connectionName);
+
+    dialog.ask(
+      'Filter variables',
+      [{id: 'filter', title: 'Name', value: filters[scope], tip: 'Part of the name or a LIKE pattern with %. Empty lists everything'}],
+      'Filter'
+    ).then((options)=>{
+      if (!options) {
+        onDone();
+        return;
+      }
+
+      filters[scope] = options.filter.trim();
+      this._showVariables(connectionName, scope, onDone);
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Runs SET SESSION on the connection pinned to the active editor (pinning one when needed), so the value
+   * is kept for the next queries of that editor. The statement is confirmed before running.
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {callable} onDone          receives the changed variable as a ResultSet, an error or nothing when cancelled
+   */
+  _setSessionVariable(connectionName, onDone) {
+    let editor = atom.workspace.getActiveTextEditor();
+
+    if (!editor) {
+      onDone('Open the editor that will use the session variable first');
+      return;
+    }
+
+    dialog.ask(
+      'Set session variable',
+      [
+        {id: 'name', title: 'Variable', tip: 'For instance sql_mode or max_statement_time'},
+        {id: 'value', title: 'Value'},
+      ],
+      'Set'
+    ).then((options)=>{
+      if (!options || options.name.trim().length === 0) {
+        return undefined;
+      }
+
+      let name = options.name.trim();
+      let statement = serverVariables.setStatement(name, options.value);
+
+      return this._pool(connectionName).then((pool)=>dialog.confirm(
+        `Run on the connection of ${editor.getTitle()}?`,
+        `${inline(statement, pool.escape)};\n\nThe editor keeps its own connection from now on. Run "Unpin Connection" to release it.`,
+        'Set'
+      ).then((confirmed)=>{
+        if (!confirmed) {
+          return undefined;
+        }
+
+        transactions.pin(editor);
+
+        return transactions.getConnection(editor, connectionName, pool).then((connection)=>{
+          this.logger.log(statement.sql);
+
+          return connection.query(statement).then(()=>{
+            transactions.updateIndicator();
+            serverVariables.getVariables(connection, SCOPE.session, name, onDone, this.logger);
+
+            return true;
+          });
+        });
+      }));
+    }).then((done)=>{
+      if (!done) {
+        onDone();
+      }
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  _historyNode(connectionName) {
+    let search = this.historySearch[connectionName];
+
+    return queryHistory.getHistoryNode(queryHistory.list(connectionName, search), search);
+  }
+
+  /**
+   * History node actions: search, clear (once confirmed) and re-open or re-run an entry
+   * @param  {string}   action          history-search, history-clear, history-open or history-run
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        History node or entry node datasets
+   * @param  {callable} onDone          receives the History node, the results of a re-run, an error message or nothing
+   */
+  _history(action, connectionName, datasets, onDone) {
+    let entry = datasets.historyId ? queryHistory.get(connectionName, datasets.historyId) : undefined;
+
+    if (datasets.historyId && !entry) {
+      onDone('This entry is not on the history anymore');
+      return;
+    }
+
+    if (action === 'history-open') {
+      openSqlEditor(entry.sql).then(()=>onDone(), (err)=>onDone(err.message || err));
+    } else if (action === 'history-run') {
+      this.executeQuery('', entry.sql, connectionName, datasets, onDone);
+    } else if (action === 'history-search') {
+      dialog.ask(
+        'Search history',
+        [{id: 'search', title: 'Text', value: this.historySearch[connectionName] || '', tip: 'Part of the query. Empty lists everything'}],
+        'Search'
+      ).then((options)=>{
+        if (!options) {
+          onDone();
+          return;
+        }
+
+        this.historySearch[connectionName] = options.search.trim();
+        onDone(this._historyNode(connectionName));
+      }).catch((err)=>onDone(err.message || err));
+    } else {
+      dialog.confirm(
+        `Clear the query history of ${connectionName}?`,
+        'Every query kept for this connection is removed.',
+        'Clear'
+      ).then((confirmed)=>{
+        if (!confirmed) {
+          onDone();
+          return;
+        }
+
+        queryHistory.clear(connectionName);
+        onDone(this._historyNode(connectionName));
+      }).catch((err)=>onDone(err.message || err));
+    }
+  }
+
+  _savedQueriesNode(connectionName, schema) {
+    return savedQueries.getSavedQueriesNode(savedQueries.list(connectionName, schema), schema);
+  }
+
+  /**
+   * Saved Queries node actions: saves the selected text (or the whole text) of the active editor,
+   * and imports or exports the library as a json file
+   * @param  {string}   action          saved-add, saved-import or saved-export
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        Saved Queries node or folder node datasets
+   * @param  {callable} onDone          receives the Saved Queries node, an error message or nothing
+   */
+  _manageSavedQueries(action, connectionName, datasets, onDone) {
+    let schema = datasets.savedSchema;
+    let library = schema ? `${connectionName} / ${schema}` : connectionName;
+    let done = (message)=>{
+      atom.notifications.addSuccess(this.getName() + " - Saved queries", {detail: message});
+      onDone(this._savedQueriesNode(connectionName, schema));
+    };
+
+    if (action === 'saved-add') {
+      let editor = atom.workspace.getActiveTextEditor();
+      let text = editor ? (editor.getSelectedText() || editor.getText()).trim() : '';
+
+      if (text.length === 0) {
+        onDone('Write (or select) the query on an editor before saving it');
+        return;
+      }
+
+      dialog.ask(
+        `Save query on ${library}`,
+        [
+          {id: 'name', title: 'Name', value: ''},
+          {id: 'folder', title: 'Folder', value: datasets.savedFolder || '', tip: 'Optional. Subfolders are separated by /'},
+        ],
+        'Save'
+      ).then((options)=>{
+        if (!options) {
+          onDone();
+          return;
+        }
+
+        if (options.name.trim().length === 0) {
+          onDone('The query needs a name');
+          return;
+        }
+
+        savedQueries.save(connectionName, schema, {name: options.name, folder: options.folder, sql: text});
+        done(`${options.name.trim()} saved. Use \${name} on the query for values asked on every run.`);
+      }).catch((err)=>onDone(err.message || err));
+    } else if (action === 'saved-export') {
+      dialog.saveFile(`saved-queries-${schema || connectionName}.json`).then((path)=>{
+        if (!path) {
+          onDone();
+          return;
+        }
+
+        fs.writeFileSync(path, JSON.stringify(savedQueries.exportData(savedQueries.list(connectionName, schema)), null, 2));
+        done(`Exported to ${path}`);
+      }).catch((err)=>onDone(err.message || err));
+    } else {
+      dialog.openFile([{name: 'JSON', extensions: ['json']}, {name: 'All files', extensions: ['*']}]).then((path)=>{
+        if (!path) {
+          onDone();
+          return;
+        }
+
+        let total = savedQueries.importData(connectionName, schema, JSON.parse(fs.readFileSync(path, 'utf8')));
+
+        done(`${total} queries imported into ${library}`);
+      }).catch((err)=>onDone(err.message || err));
+    }
+  }
+
+  /**
+   * Saved query actions. Running asks for the ${name} placeholders first; ${schema} is filled with the schema of the library
+   * @param  {string}   action          saved-run, saved-open or saved-delete
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        saved query node datasets
+   * @param  {callable} onDone          receives the query results, the Saved Queries node, an error message or nothing
+   */
+  _savedQuery(action, connectionName, datasets, onDone) {
+    let schema = datasets.savedSchema;
+    let query = savedQueries.get(connectionName, schema, datasets.savedQueryId);
+
+    if (!query) {
+      onDone('This query is not saved anymore');
+      return;
+    }
+
+    if (action === 'saved-open') {
+      openSqlEditor(query.sql).then(()=>onDone(), (err)=>onDone(err.message || err));
+    } else if (action === 'saved-delete') {
+      dialog.confirm(`Delete the saved query ${query.name}?`, query.sql, 'Delete').then((confirmed)=>{
+        if (!confirmed) {
+          onDone();
+          return;
+        }
+
+        savedQueries.remove(connectionName, schema, query.id);
+        onDone(this._savedQueriesNode(connectionName, schema));
+      }).catch((err)=>onDone(err.message || err));
+    } else {
+      let known = schema ? {[SCHEMA_PLACEHOLDER]: quoteId(schema)} : {};
+      let asked = savedQueries.placeholders(query.sql).filter((name)=>known[name] === undefined);
+      let values = asked.length === 0 ? Promise.resolve({}) : dialog.ask(
+        `Run ${query.name}`,
+        asked.map((name)=>({id: name, title: name, value: '', tip: 'Inserted as typed: quote text values here or on the query'})),
+        'Run'
+      );
+
+      values.then((options)=>{
+        if (!options) {
+          onDone();
+          return;
+        }
+
+        this.executeQuery('', savedQueries.fill(query.sql, Object.assign({}, options, known)), connectionName, datasets, onDone);
+      }).catch((err)=>onDone(err.message || err));
+    }
+  }
+
+  /**
+   * Opens a statement template for a table, view, column or routine on a new editor.
+   * Tables and columns ask which statement is wanted; views only have SELECT.
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        table, view, column or routine node datasets
+   * @param  {callable} onDone          receives an error message or nothing
+   */
+  _sqlTemplate(connectionName, datasets, onDone) {
+    let metadata = (load)=>this._pool(connectionName).then((pool)=>load(
+      this.metadataCache.wrap(pool, connectionName, datasets.fieldSchema || datasets.singleSchema || datasets.schema)
+    ));
+    let open = (text)=>openSqlEditor(text).then(()=>onDone());
+
+    if (datasets.routine) {
+      let type = datasets.routineType;
+
+      metadata((connection)=>sqlTemplate.getParameters(connection, datasets.schema, datasets.routine, type, this.logger))
+        .then((parameters)=>open(sqlTemplate.forRoutine(datasets.schema, datasets.routine, type, parameters)))
+        .catch((err)=>onDone(err.message || err));
+      return;
+    }
+
+    let schema = datasets.fieldSchema || datasets.singleSchema;
+    let tableName = datasets.fieldTable || datasets.singleName;
+    let isView = Boolean(datasets.view) || isChecked(datasets.fieldOfView);
+    let templates = isView ? [TEMPLATE.select] : (
+      datasets.fieldName ? [TEMPLATE.select, TEMPLATE.update] : Object.values(TEMPLATE)
+    );
+
+    (templates.length === 1 ? Promise.resolve({template: templates[0]}) : dialog.ask(
+      `Generate SQL for ${datasets.fieldName ? `${tableName}.${datasets.fieldName}` : tableName}`,
+      [
+        {id: 'template', title: 'Statement', type: 'select', value: templates[0], options: templates.map(
+          (template)=>({value: template, title: template})
+        )},
+      ],
+      'Open'
+    )).then((options)=>{
+      if (!options) {
+        onDone();
+        return;
+      }
+
+      return metadata((connection)=>table.getColumns(connection, schema, tableName, this.logger)).then((columns)=>open(
+        sqlTemplate.forTable(schema, tableName, columns, options.template, datasets.fieldName)
+      ));
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Opens the table designer: for a new table from the Tables node, or for the table of a table node.
+   * The generated CREATE TABLE (or the ALTER TABLE statements with only what changed) is previewed before it runs.
+   * Cancelling the preview, or a design that is not valid, takes the user back to the designer with the same edits.
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        Tables node or table node datasets
+   * @param  {callable} onDone          receives an error message or nothing
+   */
+  _designTable(connectionName, datasets, onDone) {
+    let schema = datasets.tables || datasets.singleSchema;
+    let tableName = datasets.tables ? undefined : datasets.singleName;
+
+    this._pool(connectionName).then((pool)=>Promise.all([
+      tableDesigner.getOptions(pool, this.logger),
+      tableName ? tableDesigner.load(pool, schema, tableName, this.logger) : tableDesigner.newDesign(),
+    ]).then(([options, original])=>{
+      let title = tableName ? `Design ${schema}.${tableName}` : `Create a table on ${schema}`;
+      let edit = (design)=>tableDesignerDialog.open(title, design, Object.assign({schema}, options)).then((edited)=>{
+        let statements = undefined;
+
+        if (!edited) {
+          return false;
+        }
+
+        try {
+          tableDesigner.validate(edited);
+          statements = tableName ? tableDesigner.alterStatements(schema, original, edited) : [tableDesigner.createStatement(schema, edited)];
+        } catch (err) {
+          atom.notifications.addWarning(this.getName() + " - Table design", {
+            buttons: [],
+            detail: err.message,
+            dismissable: true
+          });
+
+          return edit(edited);
+        }
+
+        if (statements.length === 0) {
+          atom.notifications.addInfo(this.getName() + " - Table design", {
+            buttons: [],
+            detail: `Nothing changed on ${schema}.${tableName}`,
+            dismissable: false
+          });
+
+          return false;
+        }
+
+        return dialog.confirm(
+          `Run on ${connectionName}?`,
+          statements.map((statement)=>statement + ';').join("\n\n"),
+          tableName ? 'Alter' : 'Create'
+        ).then((confirmed)=>confirmed ? this._runDdl(pool, connectionName, schema, statements).then(()=>true) : edit(edited));
+      });
+
+      return edit(original);
+    })).then((done)=>{
+      if (done) {
+        atom.notifications.addSuccess(this.getName() + "- Success!", {
+          buttons: [],
+          detail: `${tableName ? 'Table changes applied' : 'Table created'}. Refresh the Tables node to see them.`,
+          dismissable: false
+        });
+      }
+
+      onDone();
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Renames or drops a column from its node, once the user confirms the ALTER TABLE
+   * @param  {string}   action          rename-column or drop-column
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        column node datasets
+   * @param  {callable} onDone          receives an error message or nothing
+   */
+  _alterColumn(action, connectionName, datasets, onDone) {
+    let schema = datasets.fieldSchema;
+    let tableName = datasets.fieldTable;
+    let column = datasets.fieldName;
+
+    this._pool(connectionName).then((pool)=>{
+      let statement = undefined;
+
+      if (action === 'drop-column') {
+        statement = Promise.resolve(tableDesigner.dropColumnStatement(schema, tableName, column));
+      } else {
+        statement = dialog.ask(`Rename ${schema}.${tableName}.${column}`, [{id: 'name', title: 'New name', value: column}], 'Rename').then((options)=>{
+          let name = options ? options.name.trim() : '';
+
+          if (name.length === 0 || name === column) {
+            return undefined;
+          }
+
+          return tableDesigner.load(pool, schema, tableName, this.logger).then((original)=>tableDesigner.renameColumnStatement(schema, original, column, name));
+        });
+      }
+
+      return statement.then((text)=>text !== undefined && dialog.confirm(
+        `Run on ${connectionName}?`,
+        text + ';',
+        action === 'drop-column' ? 'Drop' : 'Rename'
+      ).then((confirmed)=>confirmed && this._runDdl(pool, connectionName, schema, [text]).then(()=>true)));
+    }).then((done)=>{
+      if (done) {
+        atom.notifications.addSuccess(this.getName() + "- Success!", {
+          buttons: [],
+          detail: `${schema}.${tableName} changed. Refresh the Tables node to see it.`,
+          dismissable: false
+        });
+      }
+
+      onDone();
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Runs DDL statements one after the other. The cached metadata of the schema is dropped even when one fails,
+   * since the ones before it were applied
+   * @param  {Pool}     pool
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {string}   schema
+   * @param  {string[]} statements
+   * @return {Promise}
+   */
+  _runDdl(pool, connectionName, schema, statements) {
+    let invalidate = ()=>this.metadataCache.invalidate(connectionName, schema);
+
+    return statements.reduce((previous, statement)=>previous.then(()=>{
+      this.logger.log(statement);
+      return pool.query(statement);
+    }), Promise.resolve()).then(invalidate, (err)=>{
+      invalidate();
+      throw err;
+    });
+  }
+
+  /**
+   * Guided account management: asks for the action details, shows the generated sql and runs it once confirmed
+   * @param  {string}   action          create-user, change-password, grant, revoke or drop-user
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        Users node (create-user) or account node datasets
+   * @param  {callable} onDone          receives an error message or nothing
+   */
+  _manageAccount(action, connectionName, datasets, onDone) {
+    let isRole = isChecked(datasets.accountIsRole);
+    let name = isRole ? datasets.accountUser : `'${datasets.accountUser}'@'${datasets.accountHost}'`;
+    let target = account.account(datasets.accountUser, datasets.accountHost, isRole);
+    let password = undefined;
+
+    this._pool(connectionName).then((pool)=>{
+      let statements = undefined;
+
+      if (action === 'create-user') {
+        statements = dialog.ask(
+          'Create user or role',
+          [
+            {id: 'type', title: 'Type', type: 'select', value: 'user', options: [
+              {value: 'user', title: 'User'},
+              {value: 'role', title: 'Role'},
+            ]},
+            {id: 'user', title: 'Name'},
+            {id: 'host', title: 'Host', value: '%', tip: 'Users only. % allows any host'},
+            {id: 'password', title: 'Password', tip: 'Users only. Optional'},
+          ],
+          'Create'
+        ).then((options)=>{
+          if (!options || options.user.length === 0) {
+            return undefined;
+          }
+
+          password = options.password;
+
+          return [account.createStatement({
+            user: options.user,
+            host: options.host || '%',
+            password: options.password,
+            isRole: options.type === 'role',
+          })];
+        });
+      } else if (action === 'change-password') {
+        statements = dialog.ask(`Change password of ${name}`, [{id: 'password', title: 'New password'}], 'Change').then((options)=>{
+          if (!options) {
+            return undefined;
+          }
+
+          password = options.password;
+
+          return [account.passwordStatement(datasets.accountUser, datasets.accountHost, options.password)];
+        });
+      } else if (action === 'grant' || action === 'revoke') {
+        let query = sql`SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA ORDER BY SCHEMA_NAME`;
+
+        this.logger.log(query.sql);
+
+        statements = Promise.all([pool.query(query), account.list(pool, this.logger)]).then(([schemas, accounts])=>dialog.ask(
+          `${action === 'grant' ? 'Grant to' : 'Revoke from'} ${name}`,
+          [
+            {id: 'schema', title: 'Schema', type: 'select', value: '*', options: [{value: '*', title: '* (global)'}].concat(
+              schemas.map((record)=>({value: record.SCHEMA_NAME, title: record.SCHEMA_NAME}))
+            )},
+            {id: 'table', title: 'Table', value: '*', tip: '* for every table of the schema'},
+          ].concat(
+            PRIVILEGES.map((privilege)=>({id: privilege, title: privilege, type: 'bool', value: false})),
+            action === 'grant' ? [{id: 'grantOption', title: 'WITH GRANT OPTION', type: 'bool', value: false}] : [],
+            [{id: 'role', title: 'Role', type: 'select', value: '', options: [{value: '', title: '(none)'}].concat(
+              accounts.filter((a)=>a.isRole && a.user !== datasets.accountUser).map((a)=>({value: a.user, title: a.user}))
+            )}]
+          ),
+          action === 'grant' ? 'Grant' : 'Revoke'
+        )).then((options)=>options ? account.privilegeStatements(target, {
+          privileges: PRIVILEGES.filter((privilege)=>isChecked(options[privilege])),
+          schema: options.schema,
+          table: options.table || '*',
+          role: options.role || undefined,
+          grantOption: isChecked(options.grantOption),
+        }, action === 'revoke') : undefined);
+      } else if (action === 'drop-user') {
+        statements = Promise.resolve([account.dropStatement(datasets.accountUser, datasets.accountHost, isRole)]);
+      }
+
+      return statements.then((list)=>{
+        if (!list || list.length === 0) {
+          return false;
+        }
+
+        return dialog.confirm(
+          `Run on ${connectionName}?`,
+          account.display(list, pool.escape, password),
+          'Run'
+        ).then((confirmed)=>confirmed && account.run(pool, list, this.logger).then(()=>true));
+      });
+    }).then((done)=>{
+      if (done) {
+        atom.notifications.addSuccess(this.getName() + "- Success!", {
+          buttons: [],
+          detail: 'Account changes applied. Refresh the Users node to see them.',
+          dismissable: false
+        });
+      }
+
+      onDone();
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * Opens the current browse page of a table on the row editor, and applies what the user changed.
+   * Tables without a key to identify their rows are refused before anything is edited.
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        table node datasets
+   * @param  {callable} onDone          receives a ResultSet with the affected records or an error message
+   */
+  _editRows(connectionName, datasets, onDone) {
+    let schema = datasets.singleSchema;
+    let tableName = datasets.singleName;
+    let browse = this._browseState(connectionName, datasets);
+
+    this._executeOnConnection(
+      connectionName,
+      (connection)=>dataEditor.getKeyColumns(connection, schema, tableName, this.logger).then((keyColumns)=>{
+        if (keyColumns.length === 0) {
+          throw new Error(`${schema}.${tableName} has no primary key or not null unique column, so its rows can't be identified for editing.`);
+        }
+
+        return new Promise((resolve, reject)=>table.getContent(connection, schema, tableName, browse, (result)=>{
+          if (result instanceof ResultSet) {
+            resolve(result);
+          } else {
+            reject(result);
+          }
+        }, this.logger));
+      }).finally(()=>connection.release()).then((page)=>dataEditorDialog.open(
+        `Edit ${schema}.${tableName}, rows ${browse.offset + 1} to ${browse.offset + page.data.length}`,
+        page.columns,
+        page.data
+      )).then((changes)=>{
+        if (!changes) {
+          onDone();
+          return;
+        }
+
+        this.applyChanges(connectionName, datasets, changes, onDone);
+      }).catch((err)=>onDone(err.message || err)),
+      onDone
+    );
+  }
+
+  /**
+   * Applies edits made on a table content (see Table.getContent). The generated sql is shown to the user
+   * and, once confirmed, runs inside a single transaction.
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        table node datasets
+   * @param  {object}   changes         columns, updates, inserts and deletes as described on DataEditor.buildStatements
+   * @param  {callable} onDone          receives a ResultSet with the affected records or an error message
+   */
+  applyChanges(connectionName, datasets, changes, onDone) {
+    let schema = datasets.singleSchema;
+    let tableName = datasets.singleName;
+
+    this._executeOnConnection(
+      connectionName,
+      (connection)=>{
+        let fail = (err)=>{
+          connection.release();
+          atom.notifications.addError(this.getName() + " - Changes not applied", {
+            buttons: [],
+            detail: err.message || err,
+            dismissable: true
+          });
+          onDone(err.message || err);
+        };
+
+        dataEditor.getKeyColumns(connection, schema, tableName, this.logger).then((keyColumns)=>{
+          if (keyColumns.length === 0) {
+            throw new Error(`${schema}.${tableName} has no primary key or not null unique column, so its rows can't be identified for editing.`);
+          }
+
+          let statements = dataEditor.buildStatements(schema, tableName, keyColumns, changes);
+
+          if (statements.length === 0) {
+            connection.release();
+            onDone();
+            return;
+          }
+
+          return dialog.confirm(
+            `Apply ${statements.length} changes to ${schema}.${tableName}?`,
+            statements.map((statement)=>inline(statement.query, connection.escape) + ';').join("\n"),
+            'Apply'
+          ).then((confirmed)=>{
+            if (!confirmed) {
+              connection.release();
+              onDone();
+              return;
+            }
+
+            return dataEditor.apply(connection, statements, this.logger).then((affected)=>{
+              connection.release();
+              atom.notifications.addSuccess(this.getName() + "- Success!", {
+                buttons: [],
+                detail: `${affected} rows changed on ${schema}.${tableName}`,
+                dismissable: false
+              });
+              onDone(new ResultSet({recordsAffected: affected}));
+            });
+          });
+        }).catch(fail);
+      },
+      onDone
+    );
+  }
+
+  /**
+   * @param {string}   uuid            Can be an empty string (when the user executes a query directly from the editor)
+   * @param {string}   query           the query requested by the user
+   * @param {string}   connectionName  Reference for the user's connection
+   * @param {object}   datasets        Node datasets to support the action
+   * @param {callable} onDone          A callable used when the processing is done. onDone must return one of the following: TreeItem, TreeItem[], ResultSet, ResultSet[] (scripts)
+   */
+  executeQuery(uuid, query, connectionName, datasets, onDone) {
+    this.logger.log(query);
+
+    let statements = splitStatements(query);
+
+    if (statements.length === 0) {
+      onDone();
+      return;
+    }
+
+    // threadId is only known once a connection is taken; a query cancelled before that never starts
+    let running = {connectionName: connectionName, threadId: undefined, cancelled: false};
+    let finish = (result)=>{
+      if (this.running[uuid] === running) {
+        delete this.running[uuid];
+      }
+
+      onDone(result);
+    };
+
+    this.running[uuid] = running;
+
+    let startedAt = Date.now();
+    let record = (outcomes, error)=>{
+      try {
+        queryHistory.add(connectionName, {
+          sql: query,
+          startedAt: startedAt,
+          duration: Date.now() - startedAt,
+          rows: outcomes.reduce((total, outcome)=>total + (Array.isArray(outcome.result) ? outcome.result.length : 0), 0),
+          affected: outcomes.reduce((total, outcome)=>total + (outcome.result && outcome.result.affectedRows || 0), 0),
+          error: error || outcomes.filter((outcome)=>outcome.error && !(running.cancelled && outcome.error.errno === ER_QUERY_INTERRUPTED))
+            .map((outcome)=>outcome.error.message).shift(),
+          cancelled: running.cancelled,
+        });
+      } catch (err) {
+        // the query already ran, a history failure is only logged
+        this.logger.log(`query history not saved: ${err.message || err}`);
+      }
+    };
+    let fail = (err)=>{
+      record([], err.message || err);
+      finish(err.message || err);
+    };
+
+    // pinned editors (like on manual transaction mode) keep their own connection, which is never released here
+    let editor = atom.workspace.getActiveTextEditor();
+    let pinned = transactions.isPinned(editor);
+
+    completionProvider.bind(editor, this, connectionName);
+
+    let command = (connection)=>{
+      running.threadId = connection.threadId;
+
+      let progress = statements.length > 1
+        ? new Progress(this.getName() + " - Running script", `Starting ${statements.length} statements`)
+        : undefined;
+
+      script.run(
+        connection,
+        statements,
+        {
+          stopOnError: atom.config.get('atom-dbex-mariadb.stopScriptOnError'),
+          isCancelled: ()=>running.cancelled,
+          maxRows: atom.config.get('atom-dbex-mariadb.maxRows'),
+          interrupt: (threadId)=>this._pool(connectionName).then((pool)=>{
+            this.logger.log(`KILL QUERY ${threadId}`);
+
+            return pool.killQuery(threadId);
+          }),
+          onProgress: (index, total, statement)=>{
+            if (progress) {
+              progress.update(`Running statement ${index + 1} of ${total} (line ${statement.line})`);
+            }
+          },
+        },
+        (outcomes)=>{
+          if (pinned) {
+            transactions.updateIndicator();
+          } else {
+            connection.release();
+          }
+
+          if (statements.some((statement)=>DDL_STATEMENT.test(statement.sql))) {
+            this.metadataCache.invalidate(connectionName);
+          }
+
+          record(outcomes);
+
+          if (progress) {
+            progress.done();
+          }
+
+          this._resolveOutcomes(outcomes, statements.length > 1, finish, running.cancelled);
+        },
+        this.logger
+      );
+    };
+
+    if (pinned) {
+      this._pool(connectionName, datasets)
+        .then((pool)=>transactions.getConnection(editor, connectionName, pool))
+        .then(command)
+        .catch(fail);
+      return;
+    }
+
+    this._executeOnConnection(connectionName, command, fail, datasets);
+  }
+
+  /**
+   * Runs EXPLAIN FORMAT=JSON (or ANALYZE FORMAT=JSON) on the current statement and sends the plan back as a ResultSet
+   * with one row for each step. The same plan result is given when these statements are typed on the query area.
+   * @param  {string}   uuid            Unique identifier for the query
+   * @param  {string}   query           Query text. When it has several statements, the one under the editor cursor is explained
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        Node datasets of the connection
+   * @param  {boolean}  analyze         when true the statement is executed and the plan comes with the real rows and timings
+   * @param  {callable} onDone          receives the plan ResultSet, an error or nothing when cancelled
+   */
+  explainQuery(uuid, query, connectionName, datasets, analyze, onDone) {
+    let statement = this._currentStatement(query);
+
+    if (!statement) {
+      onDone();
+      return;
+    }
+
+    let confirmation = analyze && queryPlan.isWrite(statement.sql)
+      ? dialog.confirm(
+        'ANALYZE executes the statement',
+        `The changes made by this statement are kept:\n\n${statement.sql}`,
+        'Analyze'
+      )
+      : Promise.resolve(true);
+
+    confirmation.then((confirmed)=>{
+      if (!confirmed) {
+        onDone();
+        return;
+      }
+
+      this.executeQuery(uuid, queryPlan.getStatement(statement.sql, analyze), connectionName, datasets, onDone);
+    }).catch((err)=>onDone(err.message || err));
+  }
+
+  /**
+   * @param  {string} query
+   * @return {object} the {sql, line} statement under the cursor of the active editor, when the query is the editor text,
+   *                  otherwise the first statement of the query
+   */
+  _currentStatement(query) {
+    let statements = splitStatements(query);
+    let editor = atom.workspace.getActiveTextEditor();
+
+    if (statements.length > 1 && editor && editor.getText() === query) {
+      let line = editor.getCursorBufferPosition().row + 1;
+      let current = statements.filter((statement)=>statement.line <= line).pop();
+
+      return current || statements[0];
+    }
+
+    return statements[0];
+  }
+
+  /**
+   * Notifies the user about the script execution and sends every result back to dbex.
+   * @param  {object[]} outcomes  {statement, result} or {statement, error} as given by the script domain
+   * @param  {boolean}  isScript  when true every ResultSet carries the statement that originated it
+   * @param  {callable} onDone    receives a ResultSet, a ResultSet[] (one for each statement) or nothing when all failed
+   * @param  {boolean}  cancelled true when the user stopped the query. The interrupted statement is not reported as a failure
+   *                              and a "cancelled" ResultSet is sent after the results of the statements that finished
+   */
+  _resolveOutcomes(outcomes, isScript, onDone, cancelled = false) {
+    let interrupted = (outcome)=>cancelled && outcome.error && outcome.error.errno === ER_QUERY_INTERRUPTED;
+    let failures = outcomes.filter((outcome)=>outcome.error && !interrupted(outcome));
+    let successes = outcomes.filter((outcome)=>!outcome.error);
+
+    if (failures.length > 0) {
+      atom.notifications.addError(
+        this.getName() + " - Failed to run query!",
+        {
+          buttons: [],
+          detail: failures.map((f)=>(isScript ? `Line ${f.statement.line}: ` : '') + (f.error.message || f.error)).join("\n"),
+          dismissable: true
+        }
+      );
+    } else if (successes.some((outcome)=>outcome.result.constructor.name === 'OkPacket')) {
+      atom.notifications.addSuccess(
+        this.getName() + "- Success!",
+        {
+          buttons: [],
+          detail: isScript ? `${successes.length} statements successfully executed` : "Query successfully executed",
+          dismissable: false
+        }
+      );
+    }
+
+    let truncated = successes.filter((outcome)=>outcome.result.truncated);
+
+    if (truncated.length > 0) {
+      atom.notifications.addWarning(
+        this.getName() + " - Result truncated",
+        {
+          buttons: [],
+          detail: truncated.map((t)=>(isScript ? `Line ${t.statement.line}: ` : '') + `only the first ${t.result.length} rows are shown`).join("\n"),
+          description: 'The limit can be changed on the "Maximum rows per result" setting.',
+          dismissable: true
+        }
+      );
+    }
+
+    let resultSets = successes.map((outcome)=>queryPlan.isPlan(outcome.statement.sql)
+      ? queryPlan.toResultSet(outcome.result, outcome.statement.sql)
+      : toResultSet(outcome.result, isScript ? outcome.statement.sql : undefined)
+    );
+
+    if (cancelled) {
+      let stopped = outcomes.find(interrupted);
+
+      resultSets.push(new ResultSet({
+        columns: [{name: 'Result', type: TYPE.text}],
+        data: [[
+          stopped
+            ? `Cancelled by the user${isScript ? ` on line ${stopped.statement.line}` : ''}`
+            : 'Cancelled by the user before running'
+        ]],
+        query: stopped && isScript ? stopped.statement.sql : undefined,
+      }));
+    }
+
+    if (resultSets.length === 0) {
+      onDone();
+    } else {
+      onDone(resultSets.length === 1 ? resultSets[0] : resultSets);
+    }
+  }
+
+  /**
+   * refresh node is a right-click option for every node. It is up to your implementation to decide if it will return something or not.
+   * @param  {string}   connectionName  Reference for the user's connection
+   * @param  {object}   datasets        Node datasets to support the refresh
+   * @param  {callable} onDone          The onDone callback will just be processed if a TreeItem element is returned
+   */
+  refreshNode(connectionName, datasets, onDone) {
+    let command = (connection)=>onDone('refresh not implemented');
+
+    if (datasets.history) {
+      onDone(this._historyNode(connectionName));
+      return;
+    }
+
+    if (datasets.savedQueries) {
+      onDone(this._savedQueriesNode(connectionName, datasets.savedSchema));
+      return;
+    }
 
     if (datasets.table) {
       command = (connection)=>table.getTables(
@@ -414,12 +2221,25 @@ export default class MariaDbEngine {
         (events)=>onDone(generalEvents.getEventsNode(datasets.events, events)),
         this.logger,
       );
+    } else if (datasets.processes) {
+      command = (connection)=>this._getProcessesNode(connection, connectionName, onDone);
+    } else if (datasets.accounts) {
+      command = (connection)=>account.getAll(
+        connection,
+        (accounts)=>onDone(Array.isArray(accounts) ? account.getUsersNode(accounts) : accounts),
+        this.logger,
+      );
     }
 
+    let cached = !(datasets.processes || datasets.accounts);
+
+    // refreshing reads the node schema again and keeps the new results on the cache
+    this.metadataCache.invalidate(connectionName, this._metadataSchema(datasets));
+
     this._executeOnConnection(
       connectionName,
       (connection)=>{
-        command(connection);
+        command(cached ? this.metadataCache.wrap(connection, connectionName, this._metadataSchema(datasets)) : connection);
         connection.release();
       },
       (error)=>onDone(error)
@@ -428,43 +2248,33 @@ export default class MariaDbEngine {
 
   /**
    * If your database supports to stop ongoing queries, this method can be used to do it.
+   * The statement running on the query connection is interrupted with KILL QUERY, sent over another connection of the pool.
    * @param {string} uuid     a reference to the query's uuid send executeQuery method
    * @param {object} connData connection fields to support the action
    */
   stopQuery(uuid, connData) {
-    let queryToStop = this.running[uuid];
-    let query = `
-  SELECT *
-  FROM information_schema.processlist
-  WHERE info = '${queryToStop}'
-   AND user = '${connData.user}'
-  `;
-
-    let getProcess = (connection)=>{
-      connection.query(query).then((results) => {
-        if (results.length > 0) {
-          let killId = results[0].ID;
-          let queryKill = `KILL ${killId}`;
-
-          connection.query(queryKill).then(results => {
-            atom.notifications.addInfo('Query killed', {detail: queryToStop});
-          }).catch(err=>{
-            console.log('Error on killing process');
-          });
-        }
-      }).catch(err=>{
-        console.log('error', err);
-      });
-    };
+    let running = this.running[uuid];
 
-    this._connect(connData).then((pool)=>{
-      pool.getConnection().then(connection=>{
-        getProcess(connection);
-        connection.release();
-      }).catch(err=>{
-        console.log(err || "Failed to connect");
-        return;
-      });
+    if (!running || running.cancelled) {
+      return;
+    }
+
+    running.cancelled = true;
+
+    let pool = this.pools[running.connectionName];
+
+    if (running.threadId === undefined || !pool) {
+      return;
+    }
+
+    let query = sql`KILL QUERY ${running.threadId}`;
+
+    this.logger.log(query.sql);
+
+    pool.query(query).then(()=>{
+      atom.notifications.addInfo(this.getName() + ' - Query cancelled', {detail: `KILL QUERY ${running.threadId}`});
+    }).catch(err=>{
+      atom.notifications.addError(this.getName() + ' - Failed to cancel the query', {detail: err.message || err, dismissable: true});
     });
   }
 